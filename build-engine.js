@@ -0,0 +1,29 @@
+// Builds the headless engine (src/engine and the helpers it uses) into dist/engine as
+// plain CommonJS for Node and bundlers.
+//
+// `vue-cli-service build --target lib` isn't used for it: its bundles set their public path
+// from `document.currentScript` and throw when they are required outside a browser.
+const fs = require('fs');
+const path = require('path');
+const babel = require('@babel/core');
+
+const files = [
+    'engine/index.js',
+    'helpers/utils.js',
+    'helpers/responsiveUtils.js',
+    'helpers/splitTree.js',
+    'helpers/spatialIndex.js'
+];
+const options = {
+    babelrc: false,
+    configFile: false,
+    presets: [['@babel/preset-env', { targets: { node: '6' }, modules: 'commonjs' }]],
+    plugins: ['transform-flow-comments']
+};
+
+files.forEach(file => {
+    const out = path.join(__dirname, 'dist', file);
+    const { code } = babel.transformFileSync(path.join(__dirname, 'src', file), options);
+    fs.mkdirSync(path.dirname(out), { recursive: true });
+    fs.writeFileSync(out, code);
+});
@@ -0,0 +1,229 @@
+// @flow
+/**
+ * Headless layout engine: the layout math used by GridLayout, without Vue.
+ *
+ * Every function here leaves its arguments untouched and returns new layout
+ * arrays and items, so it is safe to use with frozen or shared state (Vuex,
+ * undo stacks, server side code).
+ *
+ *     import { compact, moveElement } from 'vue-grid-layout/engine';
+ */
+import * as utils from '../helpers/utils';
+import * as responsiveUtils from '../helpers/responsiveUtils';
+import {layoutToSplitTree, splitTreeToLayout} from '../helpers/splitTree';
+
+import type {AutoPlacement, CollisionStrategy, CompactType, Layout, LayoutItem, Region} from '../helpers/utils';
+import type {ResponsiveLayout} from '../helpers/responsiveUtils';
+
+export {
+  bottom,
+  fitsInRows,
+  needsPlacement,
+  cloneLayout,
+  cloneLayoutItem,
+  collides,
+  getLayoutItem,
+  getAllCollisions,
+  validateLayout,
+  validateTiling,
+  repairTiling,
+  removeTile,
+  dropZoneResolvers
+} from '../helpers/utils';
+export {
+  getBreakpointFromWidth,
+  getColsFromBreakpoint,
+  getValueFromBreakpoint,
+  sortBreakpoints,
+  syncResponsiveLayouts,
+  propagateSizes,
+  regenerateLowerLayouts
+} from '../helpers/responsiveUtils';
+export {layoutToSplitTree, splitTreeToLayout};
+
+/**
+ * Compact a layout, removing the gaps between items.
+ *
+ * @param  {Array}  layout      Layout.
+ * @param  {String} compactType 'vertical', 'horizontal' or null for no compaction.
+ * @param  {Number} [cols]      Number of columns, used by horizontal compaction.
+ * @param  {Boolean} [allowOverlap] If true, overlapping items stay where they are.
+ * @param  {Number} [maxRows]   Number of rows the layout must fit in.
+ * @param  {Array}  [blockedRegions] Rectangles `{x, y, w, h}` no item may cover.
+ * @return {Array}              New compacted layout, or `layout` itself when the
+ *                              result would not fit in `maxRows`.
+ */
+export function compact(layout: Layout, compactType: CompactType | boolean, cols?: number,
+                        allowOverlap?: boolean, maxRows?: number, blockedRegions?: Array<Region>): Layout {
+  const working = utils.cloneLayout(layout).concat(utils.getBlockedItems(blockedRegions));
+  const out = utils.withoutBlockedItems(utils.compact(working, compactType, cols, allowOverlap));
+  return utils.fitsInRows(out, maxRows) ? out : layout;
+}
+
+/**
+ * Move an item and push the items it collides with out of the way.
+ *
+ * @param  {Array}   layout             Layout.
+ * @param  {Object}  l                  Item to move, looked up in `layout` by its `i`.
+ * @param  {Number}  [x]                New x position in grid units.
+ * @param  {Number}  [y]                New y position in grid units.
+ * @param  {Boolean} [isUserAction]     If true, the item is being dragged by the user.
+ * @param  {Boolean} [preventCollision] If true, a move onto another item is refused.
+ * @param  {String}  [compactType]      'horizontal' pushes colliding items sideways.
+ * @param  {Number}  [cols]             Number of columns.
+ * @param  {Boolean} [allowOverlap]     If true, the item is placed on top of the items it overlaps.
+ * @param  {Number}  [maxRows]          Number of rows the layout must fit in. Pushed items take
+ *                                      a free position above it when there is one.
+ * @param  {String}  [collisionStrategy] 'vertical', 'horizontal-first' or 'nearest-free-slot',
+ *                                      as the GridLayout prop of the same name.
+ * @param  {Array}   [blockedRegions]   Rectangles `{x, y, w, h}` no item may cover.
+ * @return {Array}                      New layout, or `layout` itself when the move
+ *                                      would push an item below `maxRows`.
+ */
+export function moveElement(layout: Layout, l: LayoutItem, x: ?number, y: ?number,
+                            isUserAction: ?boolean, preventCollision: ?boolean,
+                            compactType?: CompactType, cols?: number, allowOverlap?: boolean,
+                            maxRows?: number, collisionStrategy?: CollisionStrategy,
+                            blockedRegions?: Array<Region>): Layout {
+  const out = utils.cloneLayout(layout);
+  const item = utils.getLayoutItem(out, l.i);
+  if (!item) return out;
+  utils.moveElement(out.concat(utils.getBlockedItems(blockedRegions)), item, x, y, isUserAction,
+    preventCollision, compactType, cols, allowOverlap, collisionStrategy, maxRows);
+  return utils.fitsInRows(out, maxRows) ? out : layout;
+}
+
+/**
+ * Find where a dragged item would land in tile mode, given the cursor position.
+ *
+ * @param  {Array}  layout    Layout.
+ * @param  {Object} mousePos  Cursor position in grid units, `{x, y}`.
+ * @param  {Object} l         Dragged item.
+ * @param  {Object} [options] `splitRemainder`, `splitRatio`, `dropZoneResolver` and
+ *                            `blockedRegions`, as the GridLayout props of the same names.
+ *                            Drops overlapping a blocked region give nothing.
+ * @return {Object|undefined} Placeholder to pass to `dropElement`, or nothing. Its `x`, `y`,
+ *                            `w` and `h` are where `dropElement` puts the item.
+ */
+export function getMousePlaceholder(layout: Layout, mousePos: {x: number, y: number},
+                                    l: LayoutItem, options?: Object): ?Object {
+  return utils.getMousePlaceholder(layout, mousePos, l, options);
+}
+
+/**
+ * Drop an item in tile mode: swap it with, or split, the item under the cursor.
+ * When the layout can be cut into its tiles with straight lines, swapped items
+ * exchange their areas, sizes included. Otherwise each keeps its size.
+ *
+ * @param  {Array}  layout      Layout.
+ * @param  {Object} l           Dragged item.
+ * @param  {Object} placeholder Result of `getMousePlaceholder`.
+ * @return {Array}              New layout (the same array when there is nothing to drop on).
+ */
+export function dropElement(layout: Layout, l: LayoutItem, placeholder: ?Object): Layout {
+  return utils.dropElement(layout, l, placeholder);
+}
+
+/**
+ * Resize an item in a tiled layout by moving its right and bottom edges like pane splitters.
+ *
+ * @param  {Array}  layout Layout.
+ * @param  {Object} l      Item to resize, looked up in `layout` by its `i`.
+ * @param  {Number} w      New width.
+ * @param  {Number} h      New height.
+ * @return {Array}         New layout.
+ */
+export function moveSplitter(layout: Layout, l: LayoutItem, w: number, h: number): Layout {
+  const out = utils.cloneLayout(layout);
+  const item = utils.getLayoutItem(out, l.i);
+  if (!item) return out;
+  return utils.moveSplitter(out, item, w, h);
+}
+
+/**
+ * Give the items whose `x` or `y` is missing or Infinity a free place.
+ *
+ * @param  {Array}  layout      Layout.
+ * @param  {Number} cols        Number of columns.
+ * @param  {String} [placement] 'first-fit' (the default) or 'bottom', as the GridLayout
+ *                              `autoPlacement` prop.
+ * @param  {Number} [maxRows]   Number of rows: 'bottom' falls back to the first free slot for
+ *                              items that would go below them.
+ * @return {Array}              New layout, check it with `fitsInRows` as items that fit
+ *                              nowhere still go below `maxRows`.
+ */
+export function autoPlaceItems(layout: Layout, cols: number, placement?: AutoPlacement, maxRows?: number): Layout {
+  return utils.autoPlaceItems(utils.cloneLayout(layout), cols, placement, maxRows);
+}
+
+/**
+ * Rearrange the movable items to make the layout as short as possible (bin packing).
+ *
+ * @param  {Array}  layout    Layout.
+ * @param  {Number} cols      Number of columns.
+ * @param  {Object} [options] `keepOrder`, `locked` (ids of items that stay where they are),
+ *                            `blockedRegions` and `compactType`, the compaction applied to the result.
+ * @return {Array}            New layout.
+ */
+export function packLayout(layout: Layout, cols: number, options?: Object): Layout {
+  return utils.packLayout(layout, cols, options);
+}
+
+/**
+ * Move the items that overflow the columns back inside.
+ *
+ * @param  {Array}  layout Layout.
+ * @param  {Object} bounds `{cols}`.
+ * @return {Array}         New layout.
+ */
+export function correctBounds(layout: Layout, bounds: {cols: number}): Layout {
+  return utils.correctBounds(utils.cloneLayout(layout), bounds);
+}
+
+/**
+ * Find the layout stored for a breakpoint, or generate it from the closest larger one.
+ * See `findOrGenerateResponsiveLayout` in responsiveUtils for the arguments.
+ *
+ * @return {Array} New layout.
+ */
+export function findOrGenerateResponsiveLayout(orgLayout: Layout, layouts: ResponsiveLayout, breakpoints: Object,
+                                               breakpoint: string, lastBreakpoint: ?string,
+                                               cols: number, compactType: CompactType | boolean,
+                                               allowOverlap?: boolean, options?: Object): Layout {
+  return responsiveUtils.findOrGenerateResponsiveLayout(orgLayout, layouts, breakpoints, breakpoint,
+    lastBreakpoint, cols, compactType, allowOverlap, options);
+}
+
+export default {
+  bottom: utils.bottom,
+  fitsInRows: utils.fitsInRows,
+  needsPlacement: utils.needsPlacement,
+  cloneLayout: utils.cloneLayout,
+  cloneLayoutItem: utils.cloneLayoutItem,
+  collides: utils.collides,
+  getLayoutItem: utils.getLayoutItem,
+  getAllCollisions: utils.getAllCollisions,
+  validateLayout: utils.validateLayout,
+  validateTiling: utils.validateTiling,
+  repairTiling: utils.repairTiling,
+  removeTile: utils.removeTile,
+  dropZoneResolvers: utils.dropZoneResolvers,
+  getBreakpointFromWidth: responsiveUtils.getBreakpointFromWidth,
+  getColsFromBreakpoint: responsiveUtils.getColsFromBreakpoint,
+  getValueFromBreakpoint: responsiveUtils.getValueFromBreakpoint,
+  sortBreakpoints: responsiveUtils.sortBreakpoints,
+  syncResponsiveLayouts: responsiveUtils.syncResponsiveLayouts,
+  propagateSizes: responsiveUtils.propagateSizes,
+  regenerateLowerLayouts: responsiveUtils.regenerateLowerLayouts,
+  layoutToSplitTree,
+  splitTreeToLayout,
+  compact,
+  moveElement,
+  getMousePlaceholder,
+  dropElement,
+  moveSplitter,
+  autoPlaceItems,
+  packLayout,
+  correctBounds,
+  findOrGenerateResponsiveLayout
+};
@@ -1,11 +1,14 @@
 // @flow
 
-import {cloneLayout, compact, correctBounds} from './utils';
+import {autoPlaceItems, cloneLayout, cloneLayoutItem, compact, correctBounds, fitsInRows, getLayoutItem, sortLayoutItemsByRowCol} from './utils';
 
-import type {Layout} from './utils';
+import type {AutoPlacement, CompactType, Layout} from './utils';
 export type ResponsiveLayout = {lg?: Layout, md?: Layout, sm?: Layout, xs?: Layout, xxs?: Layout};
 type Breakpoint = string;
 type Breakpoints = {lg?: number, md?: number, sm?: number, xs?: number, xxs?: number};
+type GenerateLayout = (layout: Layout, info: {breakpoint: Breakpoint, cols: number,
+                                              sourceBreakpoint: Breakpoint, sourceCols: number}) => Layout;
+export type GenerationStrategy = 'bounds' | 'scale' | 'stack' | GenerateLayout;
 
 /**
  * Given a width, find the highest breakpoint that matches is valid for it (width > breakpoint).
@@ -38,6 +41,23 @@ export function getColsFromBreakpoint(breakpoint: Breakpoint, cols: Breakpoints)
   return cols[breakpoint];
 }
 
+/**
+ * Given a breakpoint, get the value set for it in a map of breakpoints like `cols`.
+ * Values that aren't such a map (a number, or an array like `margin`) apply to every
+ * breakpoint and are returned as they are.
+ * @param  {String} breakpoint Breakpoint name.
+ * @param  {*}      value      Map of breakpoints to values, or a single value.
+ * @param  {String} name       Name of the setting, for the error message.
+ * @return {*}                 Value for the breakpoint.
+ */
+export function getValueFromBreakpoint<T>(breakpoint: Breakpoint, value: T | {[Breakpoint]: T}, name: string): T {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) return (value: any);
+  if (value[breakpoint] === undefined) {
+    throw new Error("ResponsiveGridLayout: `" + name + "` entry for breakpoint " + breakpoint + " is missing!");
+  }
+  return value[breakpoint];
+}
+
 /**
  * Given existing layouts and a new breakpoint, find or generate a new layout.
  *
@@ -49,13 +69,26 @@ export function getColsFromBreakpoint(breakpoint: Breakpoint, cols: Breakpoints)
  * @param  {String} breakpoint New breakpoint.
  * @param  {String} breakpoint Last breakpoint (for fallback).
  * @param  {Number} cols       Column count at new breakpoint.
- * @param  {Boolean} verticalCompact Whether or not to compact the layout
- *   vertically.
+ * @param  {String} compactType 'vertical', 'horizontal' or null for no compaction.
+ * @param  {Boolean} [allowOverlap] If true, overlapping items are kept as they are.
+ * @param  {Object} [options]
+ * @param  {String|Function|Object} [options.strategy] How a layout is derived from a larger one:
+ *                             'bounds' (the default) moves the items that overflow back inside,
+ *                             'scale' scales x and w by the ratio of the column counts, 'stack'
+ *                             stacks the items in reading order in a single full-width column.
+ *                             A function gets a copy of the larger layout and
+ *                             `{breakpoint, cols, sourceBreakpoint, sourceCols}` and returns the
+ *                             new layout. Can also be an object of these by breakpoint.
+ * @param  {Object} [options.cols] Map of breakpoints to cols, needed by 'scale' and functions.
+ *                             The original layout counts as a layout of the largest breakpoint.
  * @return {Array}             New layout.
  */
 export function findOrGenerateResponsiveLayout(orgLayout: Layout, layouts: ResponsiveLayout, breakpoints: Breakpoints,
                                                breakpoint: Breakpoint, lastBreakpoint: Breakpoint,
-                                               cols: number, verticalCompact: boolean): Layout {
+                                               cols: number, compactType: CompactType | boolean,
+                                               allowOverlap?: boolean,
+                                               options?: {strategy?: GenerationStrategy | {[Breakpoint]: GenerationStrategy},
+                                                          cols?: Breakpoints}): Layout {
   // If it already exists, just return it.
   if (layouts[breakpoint]) return cloneLayout(layouts[breakpoint]);
   // Find or generate the next layout
@@ -63,20 +96,177 @@ export function findOrGenerateResponsiveLayout(orgLayout: Layout, layouts: Respo
 
   const breakpointsSorted = sortBreakpoints(breakpoints);
   const breakpointsAbove = breakpointsSorted.slice(breakpointsSorted.indexOf(breakpoint));
+  let source = breakpointsSorted[breakpointsSorted.length - 1];
   for (let i = 0, len = breakpointsAbove.length; i < len; i++) {
     const b = breakpointsAbove[i];
     if (layouts[b]) {
       layout = layouts[b];
+      source = b;
       break;
     }
   }
   layout = cloneLayout(layout || []); // clone layout so we don't modify existing items
-  return compact(correctBounds(layout, {cols: cols}), verticalCompact);
+
+  const {strategy = 'bounds', cols: colsByBreakpoint} = options || {};
+  const sourceCols = colsByBreakpoint ? getColsFromBreakpoint(source, colsByBreakpoint) : cols;
+  layout = generateLayout(layout, getStrategy(strategy, breakpoint), {breakpoint, cols, sourceBreakpoint: source, sourceCols});
+  return compact(correctBounds(layout, {cols: cols}), compactType, cols, allowOverlap);
+}
+
+function getStrategy(strategy: GenerationStrategy | {[Breakpoint]: GenerationStrategy},
+                     breakpoint: Breakpoint): GenerationStrategy {
+  if (typeof strategy === 'string' || typeof strategy === 'function') return strategy;
+  return strategy[breakpoint] || 'bounds';
+}
+
+function generateLayout(layout: Layout, strategy: GenerationStrategy,
+                        info: {breakpoint: Breakpoint, cols: number, sourceBreakpoint: Breakpoint, sourceCols: number}): Layout {
+  if (typeof strategy === 'function') return strategy(layout, info);
+  switch (strategy) {
+    case 'bounds':
+      return layout;
+    case 'scale':
+      return scaleLayout(layout, info.cols / info.sourceCols, info.cols);
+    case 'stack':
+      return stackLayout(layout, info.cols);
+    default:
+      throw new Error("ResponsiveGridLayout: unknown layout strategy '" + String(strategy) + "'!");
+  }
+}
+
+// Scale x and w by `ratio`. Both edges of an item are rounded, so items that touch keep touching.
+function scaleLayout(layout: Layout, ratio: number, cols: number): Layout {
+  if (ratio === 1) return layout;
+  layout.forEach(l => {
+    const x = Math.round(l.x * ratio);
+    const right = Math.round((l.x + l.w) * ratio);
+    l.w = Math.min(cols, Math.max(right - x, l.minW || 1, 1));
+    l.x = Math.min(x, cols - l.w);
+  });
+  return layout;
+}
+
+// Put the items below each other in reading order, each one as wide as the grid.
+function stackLayout(layout: Layout, cols: number): Layout {
+  let y = 0;
+  sortLayoutItemsByRowCol(layout).forEach(l => {
+    l.x = 0;
+    l.y = y;
+    l.w = cols;
+    y += l.h;
+  });
+  return layout;
+}
+
+/**
+ * Bring the stored layouts of the other breakpoints in line with the items of `layout`,
+ * instead of throwing them away when items are added or removed: removed items are
+ * taken out, new items get a free place fitting each breakpoint's columns.
+ *
+ * @param  {Array}  layout      Layout of the current breakpoint.
+ * @param  {Object} layouts     Stored layouts by breakpoint, left untouched.
+ * @param  {String} breakpoint  Current breakpoint, its stored layout is left out.
+ * @param  {Object} cols        Map of breakpoints to cols.
+ * @param  {String} compactType 'vertical', 'horizontal' or null for no compaction.
+ * @param  {Boolean} [allowOverlap] If true, overlapping items are kept as they are.
+ * @param  {String} [placement] Where new items go, see `autoPlaceItems`.
+ * @param  {Number|Object} [maxRows] Number of rows, or a map of breakpoints to them, passed on
+ *                             to `autoPlaceItems`. Check the results with `fitsInRows`: the
+ *                             new items have to go somewhere.
+ * @return {Object}             New layouts of the other breakpoints.
+ */
+export function syncResponsiveLayouts(layout: Layout, layouts: ResponsiveLayout, breakpoint: Breakpoint,
+                                      cols: Breakpoints, compactType: CompactType | boolean,
+                                      allowOverlap?: boolean, placement?: AutoPlacement,
+                                      maxRows?: number | Breakpoints): ResponsiveLayout {
+  const synced = {};
+  Object.keys(layouts).forEach(b => {
+    if (b === breakpoint || !layouts[b]) return;
+    const colNum = getColsFromBreakpoint(b, cols);
+    const kept = cloneLayout(layouts[b].filter(l => getLayoutItem(layout, l.i)));
+    const added = layout.filter(l => !getLayoutItem(kept, l.i)).map(l => {
+      const item = cloneLayoutItem(l);
+      item.w = Math.min(item.w, colNum);
+      // keep the column where it still fits, the row depends on the other items
+      item.x = Math.min(item.x, colNum - item.w);
+      item.y = Infinity;
+      return item;
+    });
+    const rows = getValueFromBreakpoint(b, maxRows, 'maxRows');
+    synced[b] = compact(autoPlaceItems(kept.concat(added), colNum, placement, rows), compactType, colNum, allowOverlap);
+  });
+  return synced;
+}
+
+/**
+ * Carry items resized at one breakpoint over to the stored layouts of the others: their
+ * width is scaled by the ratio of the column counts, their height is kept.
+ *
+ * @param  {Array}  items       Resized items, with their new size.
+ * @param  {Object} layouts     Stored layouts by breakpoint, left untouched.
+ * @param  {String} breakpoint  Breakpoint the items were resized at.
+ * @param  {Object} cols        Map of breakpoints to cols.
+ * @param  {String} compactType 'vertical', 'horizontal' or null for no compaction.
+ * @param  {Boolean} [allowOverlap] If true, overlapping items are kept as they are.
+ * @param  {Number|Object} [maxRows] Number of rows, or a map of breakpoints to them. Breakpoints
+ *                             whose layout would no longer fit are left out.
+ * @return {Object}             New layouts of the other breakpoints that have one of the items.
+ */
+export function propagateSizes(items: Layout, layouts: ResponsiveLayout, breakpoint: Breakpoint, cols: Breakpoints,
+                               compactType: CompactType | boolean, allowOverlap?: boolean,
+                               maxRows?: number | Breakpoints): ResponsiveLayout {
+  const propagated = {};
+  const sourceCols = getColsFromBreakpoint(breakpoint, cols);
+  Object.keys(layouts).forEach(b => {
+    if (b === breakpoint || !layouts[b]) return;
+    if (!items.some(item => getLayoutItem(layouts[b], item.i))) return;
+    const colNum = getColsFromBreakpoint(b, cols);
+    const layout = cloneLayout(layouts[b]);
+    items.forEach(item => {
+      const l = getLayoutItem(layout, item.i);
+      if (!l) return;
+      l.w = Math.min(colNum, Math.max(Math.round(item.w * colNum / sourceCols), l.minW || 1, 1));
+      l.h = item.h;
+      if (l.x + l.w > colNum) l.x = colNum - l.w;
+    });
+    const out = compact(layout, compactType, colNum, allowOverlap);
+    if (fitsInRows(out, getValueFromBreakpoint(b, maxRows, 'maxRows'))) propagated[b] = out;
+  });
+  return propagated;
+}
+
+/**
+ * Rebuild the layouts of the breakpoints smaller than `breakpoint` from its layout,
+ * e.g. after it was edited. See `findOrGenerateResponsiveLayout` for the options.
+ *
+ * @param  {Array}  layout      Layout of `breakpoint`.
+ * @param  {Object} breakpoints All breakpoints.
+ * @param  {String} breakpoint  Breakpoint of `layout`.
+ * @param  {Object} cols        Map of breakpoints to cols.
+ * @param  {String} compactType 'vertical', 'horizontal' or null for no compaction.
+ * @param  {Boolean} [allowOverlap] If true, overlapping items are kept as they are.
+ * @param  {String|Function|Object} [strategy] How the smaller layouts are generated.
+ * @param  {Number|Object} [maxRows] Number of rows, or a map of breakpoints to them. Breakpoints
+ *                             whose generated layout wouldn't fit are left out.
+ * @return {Object}             New layouts of the smaller breakpoints.
+ */
+export function regenerateLowerLayouts(layout: Layout, breakpoints: Breakpoints, breakpoint: Breakpoint,
+                                       cols: Breakpoints, compactType: CompactType | boolean, allowOverlap?: boolean,
+                                       strategy?: GenerationStrategy | {[Breakpoint]: GenerationStrategy},
+                                       maxRows?: number | Breakpoints): ResponsiveLayout {
+  const regenerated = {};
+  const breakpointsSorted = sortBreakpoints(breakpoints);
+  breakpointsSorted.slice(0, breakpointsSorted.indexOf(breakpoint)).forEach(b => {
+    const generated = findOrGenerateResponsiveLayout(layout, {[breakpoint]: layout}, breakpoints, b, breakpoint,
+      getColsFromBreakpoint(b, cols), compactType, allowOverlap, {strategy, cols});
+    if (fitsInRows(generated, getValueFromBreakpoint(b, maxRows, 'maxRows'))) regenerated[b] = generated;
+  });
+  return regenerated;
 }
 
 export function generateResponsiveLayout(layout: Layout, breakpoints: Breakpoints,
                                                breakpoint: Breakpoint, lastBreakpoint: Breakpoint,
-                                               cols: number, verticalCompact: boolean): Layout {
+                                               cols: number, compactType: CompactType | boolean): Layout {
   // If it already exists, just return it.
   /*if (layouts[breakpoint]) return cloneLayout(layouts[breakpoint]);
   // Find or generate the next layout
@@ -91,7 +281,7 @@ export function generateResponsiveLayout(layout: Layout, breakpoints: Breakpoint
     }
   }*/
   layout = cloneLayout(layout || []); // clone layout so we don't modify existing items
-  return compact(correctBounds(layout, {cols: cols}), verticalCompact);
+  return compact(correctBounds(layout, {cols: cols}), compactType, cols);
 }
 
 /**
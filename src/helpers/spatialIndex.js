@@ -0,0 +1,160 @@
+// @flow
+
+import {collides} from './utils';
+
+import type {Layout, LayoutItem} from './utils';
+type Entry = {order: number, x: number, y: number, w: number, h: number, keys: Array<string>};
+export type SpatialIndex = {
+  // Items by bucket, a bucket covers CELL x CELL grid units.
+  buckets: {[key: string]: Array<LayoutItem>},
+  // Items too large to put in buckets (Infinity sizes), checked on every query.
+  unbounded: Array<LayoutItem>,
+  // Where each item was indexed, and its position in the layout array.
+  entries: Map<LayoutItem, Entry>,
+  nextOrder: number,
+  active: boolean
+};
+
+const CELL = 8;
+// A plain scan is faster below this many items.
+const MIN_ITEMS = 64;
+// Buckets covered by an item before it goes to the unbounded list instead.
+const MAX_KEYS = 256;
+
+// Indexes are kept per layout array between operations, so the next drag event only
+// re-buckets the items that moved in between.
+const indexes: WeakMap<Layout, SpatialIndex> = new WeakMap();
+
+/**
+ * Run `fn` with a spatial index on `layout`: while it runs, `getFirstCollision` and
+ * `getAllCollisions` on that array look up nearby items in grid buckets instead of
+ * scanning every item. Code that moves items of the array inside `fn` has to call
+ * `updateSpatialIndex` for them. Nested calls for the same array share the index.
+ *
+ * @param  {Array}    layout Layout array to index.
+ * @param  {Function} fn     Operation to run.
+ * @param  {Number}   [size] Expected number of items, defaults to the array length.
+ *                           Nothing is indexed for small layouts.
+ * @return {*}               Result of `fn`.
+ */
+export function withSpatialIndex<T>(layout: Layout, fn: () => T, size?: number): T {
+  if ((size || layout.length) < MIN_ITEMS) return fn();
+  let index = indexes.get(layout);
+  if (index && index.active) return fn();
+  if (!index) {
+    index = {buckets: {}, unbounded: [], entries: new Map(), nextOrder: 0, active: false};
+    indexes.set(layout, index);
+  }
+  syncIndex(index, layout);
+  index.active = true;
+  try {
+    return fn();
+  } finally {
+    index.active = false;
+  }
+}
+
+/**
+ * The index currently in use for `layout`, if any.
+ */
+export function getSpatialIndex(layout: Layout): ?SpatialIndex {
+  const index = indexes.get(layout);
+  return index && index.active ? index : null;
+}
+
+/**
+ * Re-bucket item `l` after it moved or was added to `layout`. Does nothing when
+ * `layout` has no index in use.
+ */
+export function updateSpatialIndex(layout: Layout, l: LayoutItem): void {
+  const index = getSpatialIndex(layout);
+  if (!index) return;
+  const entry = index.entries.get(l);
+  if (entry && !hasMoved(entry, l)) return;
+  place(index, l, entry ? entry.order : index.nextOrder++);
+}
+
+/**
+ * Items of the index colliding with `l`, in layout order.
+ */
+export function queryCollisions(index: SpatialIndex, l: LayoutItem): Array<LayoutItem> {
+  const found = [];
+  const visit = item => {
+    if (found.indexOf(item) === -1 && collides(item, l)) found.push(item);
+  };
+  const keys = getKeys(l);
+  if (keys) {
+    keys.forEach(key => (index.buckets[key] || []).forEach(visit));
+  } else {
+    index.entries.forEach((entry, item) => visit(item));
+  }
+  index.unbounded.forEach(visit);
+  return found.sort((a, b) => orderOf(index, a) - orderOf(index, b));
+}
+
+function orderOf(index: SpatialIndex, l: LayoutItem): number {
+  const entry = index.entries.get(l);
+  return entry ? entry.order : Infinity;
+}
+
+function syncIndex(index: SpatialIndex, layout: Layout): void {
+  const seen = new Set();
+  layout.forEach((l, order) => {
+    seen.add(l);
+    const entry = index.entries.get(l);
+    if (!entry || hasMoved(entry, l)) {
+      place(index, l, order);
+    } else {
+      entry.order = order;
+    }
+  });
+  const removed = [];
+  index.entries.forEach((entry, l) => {
+    if (!seen.has(l)) removed.push(l);
+  });
+  removed.forEach(l => unplace(index, l));
+  index.nextOrder = layout.length;
+}
+
+function hasMoved(entry: Entry, l: LayoutItem): boolean {
+  return entry.x !== l.x || entry.y !== l.y || entry.w !== l.w || entry.h !== l.h;
+}
+
+function place(index: SpatialIndex, l: LayoutItem, order: number): void {
+  unplace(index, l);
+  const keys = getKeys(l);
+  if (keys) {
+    keys.forEach(key => {
+      (index.buckets[key] || (index.buckets[key] = [])).push(l);
+    });
+  } else {
+    index.unbounded.push(l);
+  }
+  index.entries.set(l, {order, x: l.x, y: l.y, w: l.w, h: l.h, keys: keys || []});
+}
+
+function unplace(index: SpatialIndex, l: LayoutItem): void {
+  const entry = index.entries.get(l);
+  if (!entry) return;
+  entry.keys.forEach(key => {
+    const bucket = index.buckets[key];
+    bucket.splice(bucket.indexOf(l), 1);
+    if (!bucket.length) delete index.buckets[key];
+  });
+  const i = index.unbounded.indexOf(l);
+  if (i !== -1) index.unbounded.splice(i, 1);
+  index.entries.delete(l);
+}
+
+// Bucket keys covered by an item, or null when there are too many of them.
+function getKeys(l: LayoutItem): ?Array<string> {
+  if (!isFinite(l.x + l.y + l.w + l.h)) return null;
+  const x0 = Math.floor(l.x / CELL), x1 = Math.max(x0, Math.ceil((l.x + l.w) / CELL) - 1);
+  const y0 = Math.floor(l.y / CELL), y1 = Math.max(y0, Math.ceil((l.y + l.h) / CELL) - 1);
+  if ((x1 - x0 + 1) * (y1 - y0 + 1) > MAX_KEYS) return null;
+  const keys = [];
+  for (let by = y0; by <= y1; by++) {
+    for (let bx = x0; bx <= x1; bx++) keys.push(bx + ',' + by);
+  }
+  return keys;
+}
@@ -0,0 +1,221 @@
+// @flow
+
+import {bottom, cloneLayoutItem, getSplitRects} from './utils';
+
+import type {Layout, LayoutItem} from './utils';
+type Axis = 'x' | 'y';
+export type SplitTree = {
+  x: number, y: number, w: number, h: number,
+  // Leaves hold a layout item, or null for a hole in the layout.
+  item?: ?LayoutItem,
+  // Splits cut their area along `axis` into two children, top/left one first.
+  axis?: Axis,
+  children?: [SplitTree, SplitTree]
+};
+
+const SIZE = {x: 'w', y: 'h'};
+
+/**
+ * Build a split tree (binary space partition) from a layout. Every split cuts its
+ * area in two with a straight line that crosses no item, so the tree describes
+ * exactly which tiles share which edges. Rows are cut before columns and the
+ * first free line is used, so a layout always gives the same tree.
+ *
+ * @param  {Array}  layout Layout array.
+ * @param  {Number} [cols] Number of columns, defaults to the layout's right edge.
+ * @return {Object}        Root node, or null when the layout has overlapping items
+ *                         or can't be cut with straight lines (e.g. a pinwheel).
+ */
+export function layoutToSplitTree(layout: Layout, cols?: number): ?SplitTree {
+  let width = cols || 0;
+  if (!cols) layout.forEach(l => { width = Math.max(width, l.x + l.w); });
+  return buildNode(layout, {x: 0, y: 0, w: width, h: bottom(layout)});
+}
+
+function buildNode(items: Layout, area): ?SplitTree {
+  const {x, y, w, h} = area;
+  const inside = items.filter(l => l.x < x + w && l.x + l.w > x && l.y < y + h && l.y + l.h > y);
+  if (!inside.length) return {x, y, w, h, item: null};
+  if (inside.length === 1) {
+    const l = inside[0];
+    if (l.x === x && l.y === y && l.w === w && l.h === h) return {x, y, w, h, item: l};
+  }
+
+  const axes: Array<Axis> = ['y', 'x'];
+  for (let a = 0; a < axes.length; a++) {
+    const axis = axes[a];
+    const cut = findCut(inside, area, axis);
+    if (cut === undefined) continue;
+    const size = SIZE[axis];
+    const first = {...area, [size]: cut - area[axis]};
+    const second = {...area, [axis]: cut, [size]: area[axis] + area[size] - cut};
+    const firstNode = buildNode(inside, first);
+    const secondNode = buildNode(inside, second);
+    if (!firstNode || !secondNode) return null;
+    return {x, y, w, h, axis, children: [firstNode, secondNode]};
+  }
+  return null;
+}
+
+// First line across the area, perpendicular to `axis`, that no item crosses.
+function findCut(items: Layout, area, axis: Axis): ?number {
+  const size = SIZE[axis];
+  const start = area[axis];
+  const end = area[axis] + area[size];
+  const candidates = [];
+  items.forEach(l => {
+    [l[axis], l[axis] + l[size]].forEach(c => {
+      if (c > start && c < end && candidates.indexOf(c) === -1) candidates.push(c);
+    });
+  });
+  candidates.sort((a, b) => a - b);
+  for (let i = 0; i < candidates.length; i++) {
+    const c = candidates[i];
+    if (!items.some(l => l[axis] < c && l[axis] + l[size] > c)) return c;
+  }
+}
+
+/**
+ * Turn a split tree back into a layout. Holes are left out.
+ *
+ * @param  {Object} tree Root node.
+ * @return {Array}       Layout with every item placed on its leaf's area.
+ */
+export function splitTreeToLayout(tree: SplitTree): Layout {
+  const out = [];
+  walkLeaves(tree, leaf => {
+    if (leaf.item) {
+      const l = cloneLayoutItem(leaf.item);
+      l.x = leaf.x;
+      l.y = leaf.y;
+      l.w = leaf.w;
+      l.h = leaf.h;
+      out.push(l);
+    }
+  });
+  return out;
+}
+
+function walkLeaves(node: SplitTree, fn: (leaf: SplitTree, parent: ?SplitTree) => ?boolean, parent: ?SplitTree): ?boolean {
+  if (!node.children) return fn(node, parent);
+  return walkLeaves(node.children[0], fn, node) || walkLeaves(node.children[1], fn, node);
+}
+
+/**
+ * Find the leaf holding item `i` and its parent split.
+ */
+export function findSplitTreeLeaf(tree: SplitTree, i: string): ?{leaf: SplitTree, parent: ?SplitTree} {
+  let found;
+  walkLeaves(tree, (leaf, parent) => {
+    if (leaf.item && leaf.item.i === i) {
+      found = {leaf, parent};
+      return true;
+    }
+  });
+  return found;
+}
+
+/**
+ * Remove item `i` from the tree. Its sibling subtree takes over the freed area:
+ * only the tiles along the freed edge grow, everything else keeps its size.
+ * Static items never grow, so nothing is removed when one of them is on that edge.
+ * The tree is modified in place.
+ *
+ * @param  {Object} tree Root node.
+ * @param  {String} i    Id of the item to remove.
+ * @return {Object}      New root node, or null when a static item would have to grow.
+ */
+export function removeFromSplitTree(tree: SplitTree, i: string): ?SplitTree {
+  const found = findSplitTreeLeaf(tree, i);
+  if (!found) return tree;
+  const {leaf, parent} = found;
+  if (!parent || !parent.children || !parent.axis) {
+    // Last item: the whole area becomes a hole.
+    leaf.item = null;
+    return tree;
+  }
+  const axis = parent.axis;
+  const removedFirst = parent.children[0] === leaf;
+  const sibling = parent.children[removedFirst ? 1 : 0];
+  const side = removedFirst ? 'start' : 'end';
+  if (edgeHasStatic(sibling, axis, side)) return null;
+  growEdge(sibling, axis, side, leaf[SIZE[axis]]);
+  // The sibling takes the parent's place.
+  Object.keys(parent).forEach(key => delete parent[key]);
+  Object.assign(parent, sibling);
+  return tree;
+}
+
+// Whether growEdge would resize a static item.
+function edgeHasStatic(node: SplitTree, axis: Axis, side: 'start' | 'end'): boolean {
+  if (!node.children) return !!(node.item && node.item.static);
+  if (node.axis === axis) return edgeHasStatic(node.children[side === 'start' ? 0 : 1], axis, side);
+  return node.children.some(child => edgeHasStatic(child, axis, side));
+}
+
+// Move the start or end edge of a subtree along `axis` by `delta` cells outwards.
+function growEdge(node: SplitTree, axis: Axis, side: 'start' | 'end', delta: number): void {
+  const size = SIZE[axis];
+  if (side === 'start') node[axis] -= delta;
+  node[size] += delta;
+  if (!node.children) return;
+  if (node.axis === axis) {
+    // Only the child on that side touches the moved edge.
+    growEdge(node.children[side === 'start' ? 0 : 1], axis, side, delta);
+  } else {
+    node.children.forEach(child => growEdge(child, axis, side, delta));
+  }
+}
+
+/**
+ * Drop item `l` on the tile holding `placeholder.dropItem`, as computed by
+ * `getMousePlaceholder`: `center` swaps the items of the two tiles, each one taking
+ * the other's area and size, the other positions take
+ * `l` out of the tree and split the target tile. The tree is modified in place.
+ * Static items are never moved or resized.
+ *
+ * @param  {Object} tree        Root node.
+ * @param  {Object} l           Dragged layout item.
+ * @param  {Object} placeholder Mouse placeholder.
+ * @return {Object}             New root node, or null when an item is missing or a
+ *                              static item would have to move or grow.
+ */
+export function dropOnSplitTree(tree: SplitTree, l: LayoutItem, placeholder: Object): ?SplitTree {
+  const dropItem = placeholder.dropItem;
+  const dragged = findSplitTreeLeaf(tree, l.i);
+  const target = findSplitTreeLeaf(tree, dropItem.i);
+  if (!dragged || !target) return null;
+  if (isStaticLeaf(dragged.leaf) || isStaticLeaf(target.leaf)) return null;
+
+  if (placeholder.pos === 'center') {
+    const item = dragged.leaf.item;
+    dragged.leaf.item = target.leaf.item;
+    target.leaf.item = item;
+    return tree;
+  }
+
+  const draggedItem = dragged.leaf.item;
+  const rest = removeFromSplitTree(tree, l.i);
+  if (!rest) return null;
+  const leaf = (findSplitTreeLeaf(rest, dropItem.i) || {}).leaf;
+  if (!leaf) return null;
+  // The target may have grown into the dragged item's area, keep the cursor where it was.
+  const offset = placeholder.mouseOffset && {
+    x: placeholder.mouseOffset.x + dropItem.x - leaf.x,
+    y: placeholder.mouseOffset.y + dropItem.y - leaf.y
+  };
+  const rects = getSplitRects(placeholder.pos, leaf, placeholder.split, offset);
+  if (!rects) return null;
+  const axis = placeholder.pos === 'top' || placeholder.pos === 'bottom' ? 'y' : 'x';
+  const dragNode = {...rects.drag, item: draggedItem};
+  const dropNode = {...rects.drop, item: leaf.item};
+  const dragFirst = placeholder.pos === 'top' || placeholder.pos === 'left';
+  leaf.axis = axis;
+  leaf.children = dragFirst ? [dragNode, dropNode] : [dropNode, dragNode];
+  delete leaf.item;
+  return rest;
+}
+
+function isStaticLeaf(leaf: SplitTree): boolean {
+  return !!(leaf.item && leaf.item.static);
+}
@@ -1,4 +1,17 @@
 // @flow
+import {
+  layoutToSplitTree,
+  splitTreeToLayout,
+  dropOnSplitTree,
+  removeFromSplitTree,
+} from "./splitTree";
+import {
+  getSpatialIndex,
+  queryCollisions,
+  updateSpatialIndex,
+  withSpatialIndex,
+} from "./spatialIndex";
+
 export type LayoutItemRequired = {
   w: number,
   h: number,
@@ -15,8 +28,15 @@ export type LayoutItem = LayoutItemRequired & {
   static?: boolean,
   isDraggable?: ?boolean,
   isResizable?: ?boolean,
+  z?: number,
+  priority?: number,
+  blocked?: boolean,
 };
 export type Layout = Array<LayoutItem>;
+export type Region = { x: number, y: number, w: number, h: number };
+export type CompactType = ?("horizontal" | "vertical");
+export type AutoPlacement = "first-fit" | "bottom";
+export type CollisionStrategy = "vertical" | "horizontal-first" | "nearest-free-slot";
 // export type Position = {left: number, top: number, width: number, height: number};
 /*
 export type DragCallbackData = {
@@ -47,6 +67,17 @@ export function bottom(layout: Layout): number {
   return max;
 }
 
+/**
+ * Check that no item reaches below `maxRows`.
+ *
+ * @param  {Array}  layout    Layout array.
+ * @param  {Number} [maxRows] Number of rows, no limit when omitted or Infinity.
+ * @return {Boolean}          True if the layout fits.
+ */
+export function fitsInRows(layout: Layout, maxRows: ?number): boolean {
+  return maxRows == null || !isFinite(maxRows) || bottom(layout) <= maxRows;
+}
+
 export function cloneLayout(layout: Layout): Layout {
   const newLayout = Array(layout.length);
   for (let i = 0, len = layout.length; i < len; i++) {
@@ -82,40 +113,53 @@ export function collides(l1: LayoutItem, l2: LayoutItem): boolean {
 }
 
 /**
- * Given a layout, compact it. This involves going down each y coordinate and removing gaps
- * between items.
+ * Given a layout, compact it. This involves going down each y coordinate (or along
+ * each x coordinate for horizontal compaction) and removing gaps between items.
  *
  * @param  {Array} layout Layout.
- * @param  {Boolean} verticalCompact Whether or not to compact the layout
- *   vertically.
+ * @param  {String} compactType 'vertical', 'horizontal' or null for no compaction.
+ *   `true` and `false` are still accepted for vertical and no compaction.
+ * @param  {Number} [cols] Number of columns, horizontally compacted items that
+ *   don't fit move to the next row.
+ * @param  {Boolean} [allowOverlap] If true, items overlapping another item stay where they are,
+ *   unless they overlap a blocked region.
  * @return {Array}       Compacted Layout.
  */
-export function compact(layout: Layout, verticalCompact: Boolean): Layout {
+export function compact(
+  layout: Layout,
+  compactType: CompactType | boolean,
+  cols?: number,
+  allowOverlap?: boolean
+): Layout {
+  compactType = getCompactType(compactType);
   // Statics go in the compareWith array right away so items flow around them.
   const compareWith = getStatics(layout);
-  // We go through the items by row and column.
-  const sorted = sortLayoutItemsByRowCol(layout);
+  // We go through the items by row and column (by column and row when compacting horizontally).
+  const sorted = sortLayoutItems(layout, compactType);
   // Holding for new items.
   const out = Array(layout.length);
 
-  for (let i = 0, len = sorted.length; i < len; i++) {
-    let l = sorted[i];
+  withSpatialIndex(compareWith, () => {
+    for (let i = 0, len = sorted.length; i < len; i++) {
+      let l = sorted[i];
 
-    // Don't move static elements
-    if (!l.static) {
-      l = compactItem(compareWith, l, verticalCompact);
+      // Don't move static elements
+      if (!l.static) {
+        l = compactItem(compareWith, l, compactType, cols, allowOverlap);
 
-      // Add to comparison array. We only collide with items before this one.
-      // Statics are already in this array.
-      compareWith.push(l);
-    }
+        // Add to comparison array. We only collide with items before this one.
+        // Statics are already in this array.
+        compareWith.push(l);
+        updateSpatialIndex(compareWith, l);
+      }
 
-    // Add to output array to make sure they still come out in the right order.
-    out[layout.indexOf(l)] = l;
+      // Add to output array to make sure they still come out in the right order.
+      out[layout.indexOf(l)] = l;
 
-    // Clear moved flag, if it exists.
-    l.moved = false;
-  }
+      // Clear moved flag, if it exists.
+      l.moved = false;
+    }
+  }, layout.length);
 
   return out;
 }
@@ -126,23 +170,51 @@ export function compact(layout: Layout, verticalCompact: Boolean): Layout {
 export function compactItem(
   compareWith: Layout,
   l: LayoutItem,
-  verticalCompact: boolean
+  compactType: CompactType | boolean,
+  cols?: number,
+  allowOverlap?: boolean
 ): LayoutItem {
-  if (verticalCompact) {
+  // Overlapping on purpose, leave it where it is. Blocked regions are never overlapped.
+  if (allowOverlap && getFirstCollision(compareWith, l) &&
+    !getAllCollisions(compareWith, l).some((c) => c.blocked)) return l;
+  compactType = getCompactType(compactType);
+  const compactH = compactType === "horizontal";
+  if (compactType === "vertical") {
     // Move the element up as far as it can go without colliding.
     while (l.y > 0 && !getFirstCollision(compareWith, l)) {
       l.y < 1 ? (l.y = 0) : l.y--;
     }
+  } else if (compactH) {
+    // Move the element left as far as it can go without colliding.
+    while (l.x > 0 && !getFirstCollision(compareWith, l)) {
+      l.x < 1 ? (l.x = 0) : l.x--;
+    }
   }
 
-  // Move it down, and keep moving it down if it's colliding.
+  // Move it down (right), and keep moving it if it's colliding.
   let collides;
   while ((collides = getFirstCollision(compareWith, l))) {
-    l.y = collides.y + collides.h;
+    if (compactH) {
+      l.x = collides.x + collides.w;
+      // Doesn't fit in this row anymore, try the next one.
+      if (cols && l.x + l.w > cols) {
+        l.x = 0;
+        l.y++;
+      }
+    } else {
+      l.y = collides.y + collides.h;
+    }
   }
   return l;
 }
 
+// Accept the old verticalCompact booleans.
+function getCompactType(compactType: ?(CompactType | boolean)): ?CompactType {
+  if (compactType === true) return "vertical";
+  if (compactType === false) return null;
+  return compactType;
+}
+
 /**
  * Given a layout, make sure all elements fit within its bounds.
  *
@@ -175,6 +247,154 @@ export function correctBounds(
   return layout;
 }
 
+/**
+ * Check if an item still needs a place: its `x` or `y` is missing or not finite.
+ */
+export function needsPlacement(l: LayoutItem): boolean {
+  return !isCoordinate(l.x) || !isCoordinate(l.y);
+}
+
+function isCoordinate(value: mixed): boolean {
+  return typeof value === "number" && isFinite(value);
+}
+
+/**
+ * Give the items without coordinates (see `needsPlacement`) a free place, in layout order.
+ * A coordinate that is given is kept where possible: an item with only `x` goes to the first
+ * free row in that column, an item with only `y` to the first free column from that row on.
+ *
+ * @param  {Array}  layout      Layout array, the items are modified in place.
+ * @param  {Number} cols        Number of columns.
+ * @param  {String} [placement] 'first-fit' (the default) takes the first free slot that fits,
+ *                              scanning rows from the top; 'bottom' appends below the layout.
+ * @param  {Number} [maxRows]   Number of rows: an item that would go below them when appended
+ *                              takes the first free slot instead. Items that fit nowhere still
+ *                              go below, check the result with `fitsInRows`.
+ * @return {Array}              Layout.
+ */
+export function autoPlaceItems(
+  layout: Layout,
+  cols: number,
+  placement?: AutoPlacement,
+  maxRows?: ?number
+): Layout {
+  const placed = layout.filter((l) => !needsPlacement(l));
+  if (placed.length === layout.length) return layout;
+  // Slots only fill up, so the next item of the same size can start where the last one went.
+  const firstRows = {};
+  withSpatialIndex(placed, () => {
+    layout.forEach((l) => {
+      if (!needsPlacement(l)) return;
+      const w = Math.max(1, Math.min(l.w, cols));
+      const xs = isCoordinate(l.x)
+        ? [Math.max(0, Math.min(l.x, cols - w))]
+        : range(cols - w + 1);
+      const size = xs.length > 1 ? w + "x" + l.h : null;
+      let y = isCoordinate(l.y) ? Math.max(0, l.y) : (size && firstRows[size]) || 0;
+      if (placement === "bottom" && fitsInRows([{ ...l, y: bottom(placed) }], maxRows)) {
+        y = Math.max(y, bottom(placed));
+      }
+      // Below the bottom of the layout every slot is free.
+      let x;
+      while ((x = xs.find((cx) => !getFirstCollision(placed, { ...l, x: cx, y, w }))) === undefined) y++;
+      if (size && !isCoordinate(l.y)) firstRows[size] = y;
+      l.x = x;
+      l.y = y;
+      placed.push(l);
+      updateSpatialIndex(placed, l);
+    });
+  }, layout.length);
+  return layout;
+}
+
+/**
+ * Rearrange the movable items to make the layout as short as possible: unlike `compact`,
+ * items may change places. Each item takes the first free slot in reading order, the
+ * tallest and widest items first, unless the reading order must be kept.
+ *
+ * @param  {Array}   layout    Layout array.
+ * @param  {Number}  cols      Number of columns.
+ * @param  {Object}  [options]
+ * @param  {Boolean} [options.keepOrder]      Keep the reading order of the items (by row, then
+ *                                            column), only closing the holes between them.
+ * @param  {Array}   [options.locked]         Ids of items that stay where they are, like static items.
+ * @param  {Array}   [options.blockedRegions] Rectangles `{x, y, w, h}` no item may cover.
+ * @param  {String}  [options.compactType]    Compaction applied to the result, as in `compact`,
+ *                                            so it is the layout a grid with that compactType shows.
+ * @return {Array}                            New layout in the same order, or a compacted copy of
+ *                                            `layout` when packing doesn't make it shorter.
+ */
+export function packLayout(
+  layout: Layout,
+  cols: number,
+  options?: {
+    keepOrder?: boolean,
+    locked?: Array<string>,
+    blockedRegions?: Array<Region>,
+    compactType?: CompactType | boolean
+  } = {}
+): Layout {
+  const locked = options.locked || [];
+  const fixed = (l) => l.static || locked.indexOf(l.i) !== -1;
+  const blocked = getBlockedItems(options.blockedRegions);
+  // Compact the items in place, locked items stay where they are like static ones.
+  const settle = (out) => {
+    const working = out.map((l) => (fixed(l) ? { ...l, static: true } : l));
+    compact(working.concat(blocked), options.compactType, cols);
+    return out;
+  };
+  const orders = [sortLayoutItemsByRowCol];
+  if (!options.keepOrder) {
+    orders.unshift((items) =>
+      sortLayoutItemsByRowCol(items).sort((a, b) => b.h - a.h || b.w - a.w)
+    );
+  }
+  let best = settle(cloneLayout(layout));
+  orders.forEach((order) => {
+    const out = cloneLayout(layout);
+    const placed = out.filter(fixed).concat(blocked);
+    packItems(placed, order(out.filter((l) => !fixed(l))), cols, order === sortLayoutItemsByRowCol);
+    settle(out);
+    if (bottom(out) < bottom(best)) best = out;
+  });
+  return best;
+}
+
+// Put each item in the first free slot in reading order. In order, each item goes after the
+// previous one, otherwise after the last item of the same size (slots only fill up).
+function packItems(placed: Layout, items: Layout, cols: number, inOrder: boolean): void {
+  let cursor = { x: 0, y: 0 };
+  const starts = {};
+  withSpatialIndex(placed, () => {
+    items.forEach((l) => {
+      const w = Math.max(1, Math.min(l.w, cols));
+      const size = w + "x" + l.h;
+      let { x, y } = inOrder ? cursor : starts[size] || cursor;
+      // Below the bottom of the layout every slot is free.
+      for (;;) {
+        if (x + w > cols) {
+          x = 0;
+          y++;
+        } else if (getFirstCollision(placed, { ...l, x, y, w })) {
+          x++;
+        } else break;
+      }
+      l.x = x;
+      l.y = y;
+      placed.push(l);
+      updateSpatialIndex(placed, l);
+      if (inOrder) cursor = { x: x + 1, y };
+      else starts[size] = { x, y };
+    });
+  }, placed.length + items.length);
+}
+
+function range(n: number): Array<number> {
+  const out = [];
+  for (let i = 0; i < n; i++) out.push(i);
+  return out;
+}
+
 /**
  * Get a layout item by ID. Used so we can override later on if necessary.
  *
@@ -200,6 +420,8 @@ export function getFirstCollision(
   layout: Layout,
   layoutItem: LayoutItem
 ): ?LayoutItem {
+  const index = getSpatialIndex(layout);
+  if (index) return queryCollisions(index, layoutItem)[0];
   for (let i = 0, len = layout.length; i < len; i++) {
     if (collides(layout[i], layoutItem)) return layout[i];
   }
@@ -209,6 +431,8 @@ export function getAllCollisions(
   layout: Layout,
   layoutItem: LayoutItem
 ): Array<LayoutItem> {
+  const index = getSpatialIndex(layout);
+  if (index) return queryCollisions(index, layoutItem);
   return layout.filter((l) => collides(l, layoutItem));
 }
 
@@ -222,6 +446,33 @@ export function getStatics(layout: Layout): Array<LayoutItem> {
   return layout.filter((l) => l.static);
 }
 
+/**
+ * Turn blocked regions into static layout items, so that collision checks, compaction
+ * and moves treat them as occupied. Run the engine on `layout.concat(getBlockedItems(regions))`
+ * and take them out of the result with `withoutBlockedItems`.
+ *
+ * @param  {Array} [regions] Rectangles in grid units, `{x, y, w, h}`.
+ * @return {Array}           Static layout items marked as `blocked`.
+ */
+export function getBlockedItems(regions: ?Array<Region>): Layout {
+  return (regions || []).map((r, index) => ({
+    x: r.x,
+    y: r.y,
+    w: r.w,
+    h: r.h,
+    i: "blocked-" + index,
+    static: true,
+    blocked: true,
+  }));
+}
+
+/**
+ * Remove the items added by `getBlockedItems` from a layout.
+ */
+export function withoutBlockedItems(layout: Layout): Layout {
+  return layout.filter((l) => !l.blocked);
+}
+
 /**
  * Move an element. Responsible for doing cascading movements of other elements.
  *
@@ -231,6 +482,20 @@ export function getStatics(layout: Layout): Array<LayoutItem> {
  * @param  {Number}     [y]    Y position in grid units.
  * @param  {Boolean}    [isUserAction] If true, designates that the item we're moving is
  *                                     being dragged/resized by th euser.
+ * @param  {Boolean}    [preventCollision] If true, a move onto another item is refused.
+ * @param  {String}     [compactType] 'horizontal' pushes colliding items sideways,
+ *                                    anything else pushes them up or down.
+ * @param  {Number}     [cols] Number of columns.
+ * @param  {Boolean}    [allowOverlap] If true, nothing is pushed away: the element is
+ *                                     placed on top of the items it overlaps. A move onto
+ *                                     a blocked region is refused.
+ * @param  {String}     [collisionStrategy] Where pushed items go: 'vertical' (the default)
+ *                                     pushes them along the compaction axis, 'horizontal-first'
+ *                                     slides them sideways, away from the moved element, when
+ *                                     there is room in their row,
+ *                                     'nearest-free-slot' moves them to the closest free position.
+ * @param  {Number}     [maxRows] Number of rows: an item that would be pushed below them goes
+ *                                     to the nearest free position above instead, if there is one.
  */
 export function moveElement(
   layout: Layout,
@@ -238,9 +503,36 @@ export function moveElement(
   x: Number,
   y: Number,
   isUserAction: Boolean,
-  preventCollision: Boolean
+  preventCollision: Boolean,
+  compactType: CompactType | boolean,
+  cols?: number,
+  allowOverlap?: boolean,
+  collisionStrategy?: CollisionStrategy,
+  maxRows?: ?number
 ): Layout {
   if (l.static) return layout;
+  return withSpatialIndex(layout, () =>
+    moveIndexedElement(layout, l, x, y, isUserAction, preventCollision, compactType, cols,
+      allowOverlap, collisionStrategy, maxRows)
+  );
+}
+
+// moveElement, while `layout` is indexed.
+function moveIndexedElement(
+  layout: Layout,
+  l: LayoutItem,
+  x: Number,
+  y: Number,
+  isUserAction: Boolean,
+  preventCollision: Boolean,
+  compactType: CompactType | boolean,
+  cols?: number,
+  allowOverlap?: boolean,
+  collisionStrategy?: CollisionStrategy,
+  maxRows?: ?number
+): Layout {
+  compactType = getCompactType(compactType);
+  const compactH = compactType === "horizontal";
 
   // Short-circuit if nothing to do.
   //if (l.y === y && l.x === x) return layout;
@@ -248,24 +540,37 @@ export function moveElement(
   const oldX = l.x;
   const oldY = l.y;
 
-  const movingUp = y && l.y > y;
+  const movingUp = compactH ? x && l.x > x : y && l.y > y;
   // This is quite a bit faster than extending the object
   if (typeof x === "number") l.x = x;
   if (typeof y === "number") l.y = y;
   l.moved = true;
+  updateSpatialIndex(layout, l);
+
+  if (allowOverlap) {
+    // Items may overlap each other, but not a blocked region.
+    if (getAllCollisions(layout, l).some((c) => c.blocked)) {
+      l.x = oldX;
+      l.y = oldY;
+      l.moved = false;
+      updateSpatialIndex(layout, l);
+      return layout;
+    }
+    bringToFront(layout, l);
+    return layout;
+  }
 
   // If this collides with anything, move it.
-  // When doing this comparison, we have to sort the items we compare with
-  // to ensure, in the case of multiple collisions, that we're getting the
-  // nearest collision.
-  let sorted = sortLayoutItemsByRowCol(layout);
-  if (movingUp) sorted = sorted.reverse();
-  const collisions = getAllCollisions(sorted, l);
+  // The collisions are sorted to ensure, in the case of multiple collisions,
+  // that we're getting the nearest collision.
+  let collisions = sortLayoutItems(getAllCollisions(layout, l), compactType);
+  if (movingUp) collisions = collisions.reverse();
 
   if (preventCollision && collisions.length) {
     l.x = oldX;
     l.y = oldY;
     l.moved = false;
+    updateSpatialIndex(layout, l);
     return layout;
   }
 
@@ -277,37 +582,106 @@ export function moveElement(
     // Short circuit so we can't infinite loop
     if (collision.moved) continue;
 
-    // This makes it feel a bit more precise by waiting to swap for just a bit when moving up.
-    if (l.y > collision.y && l.y - collision.y > collision.h / 4) continue;
+    // This makes it feel a bit more precise by waiting to swap for just a bit when moving up (left).
+    if (compactH) {
+      if (l.x > collision.x && l.x - collision.x > collision.w / 4) continue;
+    } else if (l.y > collision.y && l.y - collision.y > collision.h / 4) continue;
 
-    // Don't move static items - we have to move *this* element away
-    if (collision.static) {
-      layout = moveElementAwayFromCollision(layout, collision, l, isUserAction);
+    // Don't move static items or items more important than this one - we have to move *this* element away
+    if (collision.static || getPriority(collision) > getPriority(l)) {
+      layout = moveElementAwayFromCollision(
+        layout,
+        collision,
+        l,
+        isUserAction,
+        compactType,
+        cols,
+        collisionStrategy,
+        maxRows
+      );
     } else {
-      layout = moveElementAwayFromCollision(layout, l, collision, isUserAction);
+      layout = moveElementAwayFromCollision(
+        layout,
+        l,
+        collision,
+        isUserAction,
+        compactType,
+        cols,
+        collisionStrategy,
+        maxRows
+      );
     }
   }
 
   return layout;
 }
 
+/**
+ * Give an item a z-order above every item it overlaps. Items without `z` are at 0.
+ *
+ * @param  {Array}      layout Full layout.
+ * @param  {LayoutItem} l      Item to raise, modified in place.
+ */
+export function bringToFront(layout: Layout, l: LayoutItem): void {
+  const collisions = getAllCollisions(layout, l);
+  if (!collisions.length) return;
+  const top = Math.max(...collisions.map((c) => c.z || 0));
+  if ((l.z || 0) <= top) l.z = top + 1;
+}
+
 /**
  * This is where the magic needs to happen - given a collision, move an element away from the collision.
- * We attempt to move it up if there's room, otherwise it goes below.
+ * We attempt to move it up (left, when compacting horizontally) if there's room, otherwise it goes
+ * below (to the right).
  *
  * @param  {Array} layout            Full layout to modify.
  * @param  {LayoutItem} collidesWith Layout item we're colliding with.
  * @param  {LayoutItem} itemToMove   Layout item we're moving.
  * @param  {Boolean} [isUserAction]  If true, designates that the item we're moving is being dragged/resized
  *                                   by the user.
+ * @param  {String} [compactType]    Compaction axis, see moveElement.
+ * @param  {Number} [cols]           Number of columns.
+ * @param  {String} [collisionStrategy] See moveElement.
+ * @param  {Number} [maxRows]    See moveElement.
  */
 export function moveElementAwayFromCollision(
   layout: Layout,
   collidesWith: LayoutItem,
   itemToMove: LayoutItem,
-  isUserAction: ?boolean
+  isUserAction: ?boolean,
+  compactType: CompactType | boolean,
+  cols?: number,
+  collisionStrategy?: CollisionStrategy,
+  maxRows?: ?number
 ): Layout {
+  const compactH = getCompactType(compactType) === "horizontal";
   const preventCollision = false; // we're already colliding
+
+  let slot = findFreeSlot(layout, collidesWith, itemToMove, cols, collisionStrategy, maxRows);
+  // Pushed below the collision, the item would end up below maxRows: any free slot above will do.
+  if (
+    !slot &&
+    !compactH &&
+    !fitsInRows([{ ...itemToMove, y: collidesWith.y + collidesWith.h }], maxRows)
+  ) {
+    slot = findFreeSlot(layout, collidesWith, itemToMove, cols, "nearest-free-slot", maxRows);
+  }
+  if (slot) {
+    return moveElement(
+      layout,
+      itemToMove,
+      slot.x,
+      slot.y,
+      false,
+      preventCollision,
+      compactType,
+      cols,
+      false,
+      collisionStrategy,
+      maxRows
+    );
+  }
+
   // If there is enough space above the collision to put this element, move it there.
   // We only do this on the main collision as this can get funky in cascades and cause
   // unwanted swapping behavior.
@@ -320,14 +694,24 @@ export function moveElementAwayFromCollision(
       h: itemToMove.h,
       i: "-1",
     };
-    fakeItem.y = Math.max(collidesWith.y - itemToMove.h, 0);
+    if (compactH) {
+      fakeItem.x = Math.max(collidesWith.x - itemToMove.w, 0);
+    } else {
+      fakeItem.y = Math.max(collidesWith.y - itemToMove.h, 0);
+    }
     if (!getFirstCollision(layout, fakeItem)) {
       return moveElement(
         layout,
         itemToMove,
-        undefined,
-        fakeItem.y,
-        preventCollision
+        compactH ? fakeItem.x : undefined,
+        compactH ? undefined : fakeItem.y,
+        false,
+        preventCollision,
+        compactType,
+        cols,
+        false,
+        collisionStrategy,
+        maxRows
       );
     }
   }
@@ -337,9 +721,85 @@ export function moveElementAwayFromCollision(
   return moveElement(
     layout,
     itemToMove,
-    undefined,
-    itemToMove.y + 1,
-    preventCollision
+    compactH ? itemToMove.x + 1 : undefined,
+    compactH ? undefined : itemToMove.y + 1,
+    false,
+    preventCollision,
+    compactType,
+    cols,
+    false,
+    collisionStrategy,
+    maxRows
+  );
+}
+
+/**
+ * Find where the collision strategy puts an item pushed away by another one.
+ *
+ * @param  {Array} layout            Full layout.
+ * @param  {LayoutItem} collidesWith Layout item pushing.
+ * @param  {LayoutItem} itemToMove   Layout item pushed.
+ * @param  {Number} [cols]           Number of columns, defaults to the layout's right edge.
+ * @param  {String} [collisionStrategy] See moveElement.
+ * @param  {Number} [maxRows]        Number of rows the free position must be in.
+ * @return {Object|undefined}        `{x, y}` of a free position, or nothing when the item
+ *                                   has to be pushed along the compaction axis.
+ */
+function findFreeSlot(
+  layout: Layout,
+  collidesWith: LayoutItem,
+  itemToMove: LayoutItem,
+  cols?: number,
+  collisionStrategy?: CollisionStrategy,
+  maxRows?: ?number
+): ?{ x: number, y: number } {
+  if (!collisionStrategy || collisionStrategy === "vertical") return;
+  const width = cols || Math.max(...layout.map((l) => l.x + l.w));
+  const isFree = (x, y) =>
+    x >= 0 &&
+    y >= 0 &&
+    x + itemToMove.w <= width &&
+    fitsInRows([{ ...itemToMove, y }], maxRows) &&
+    !getAllCollisions(layout, { ...itemToMove, x, y }).some((c) => c !== itemToMove);
+
+  if (collisionStrategy === "horizontal-first") {
+    // Slide away from the pushing item until the item fits, as long as nothing else is in the way.
+    const step =
+      itemToMove.x * 2 + itemToMove.w >= collidesWith.x * 2 + collidesWith.w ? 1 : -1;
+    for (let x = itemToMove.x + step; x >= 0 && x + itemToMove.w <= width; x += step) {
+      const blocking = getAllCollisions(layout, { ...itemToMove, x }).filter(
+        (c) => c !== itemToMove && c !== collidesWith
+      );
+      if (blocking.length) return;
+      if (isFree(x, itemToMove.y)) return { x, y: itemToMove.y };
+    }
+    return;
+  }
+
+  if (collisionStrategy === "nearest-free-slot") {
+    // Look at the rows closest to the item first, until no row can hold anything closer.
+    // Below the bottom of the layout there is always room, unless that is below maxRows.
+    const maxY = bottom(layout);
+    let best;
+    let bestDistance = Infinity;
+    for (let d = 0; d <= maxY && d * d < bestDistance; d++) {
+      const rows = d ? [itemToMove.y - d, itemToMove.y + d] : [itemToMove.y];
+      rows.forEach((y) => {
+        for (let x = 0; x + itemToMove.w <= width; x++) {
+          const distance = (x - itemToMove.x) * (x - itemToMove.x) + d * d;
+          if (distance < bestDistance && isFree(x, y)) {
+            best = { x, y };
+            bestDistance = distance;
+          }
+        }
+      });
+    }
+    if (best || !fitsInRows([{ ...itemToMove, y: maxY }], maxRows)) return best;
+    return { x: Math.max(0, Math.min(itemToMove.x, width - itemToMove.w)), y: maxY };
+  }
+
+  throw new Error(
+    "VueGridLayout: unknown collisionStrategy '" + collisionStrategy + "'!"
   );
 }
 
@@ -419,6 +879,33 @@ export function setTopRight(top, right, width, height): Object {
   };
 }
 
+/**
+ * Get layout items sorted in the order they are compacted: by column and row for
+ * horizontal compaction, by row and column otherwise.
+ *
+ * @return {Array}        Layout, sorted.
+ */
+export function sortLayoutItems(
+  layout: Layout,
+  compactType: ?CompactType
+): Layout {
+  if (compactType === "horizontal") return sortLayoutItemsByColRow(layout);
+  return sortLayoutItemsByRowCol(layout);
+}
+
+/**
+ * Get layout items sorted from top left to down and right.
+ *
+ * @return {Array}        Layout, sorted.
+ */
+export function sortLayoutItemsByColRow(layout: Layout): Layout {
+  return [].concat(layout).sort(function(a, b) {
+    if (a.x !== b.x) return a.x > b.x ? 1 : -1;
+    if (a.y !== b.y) return a.y > b.y ? 1 : -1;
+    return comparePriority(a, b);
+  });
+}
+
 /**
  * Get layout items sorted from top left to right and down.
  *
@@ -427,13 +914,23 @@ export function setTopRight(top, right, width, height): Object {
  */
 export function sortLayoutItemsByRowCol(layout: Layout): Layout {
   return [].concat(layout).sort(function(a, b) {
-    if (a.y > b.y || (a.y === b.y && a.x > b.x)) {
-      return 1;
-    }
-    return -1;
+    if (a.y !== b.y) return a.y > b.y ? 1 : -1;
+    if (a.x !== b.x) return a.x > b.x ? 1 : -1;
+    return comparePriority(a, b);
   });
 }
 
+// Item priority, 0 when not set. More important items come first when items are at
+// the same place, and don't give way to less important ones moved into them.
+function getPriority(l: LayoutItem): number {
+  return l.priority || 0;
+}
+
+// Items at the same place: more important first, otherwise keep the layout order.
+function comparePriority(a: LayoutItem, b: LayoutItem): number {
+  return getPriority(b) - getPriority(a);
+}
+
 /**
  * Generate a layout using the initialLayout and children as a template.
  * Missing entries will be added, extraneous ones will be truncated.
@@ -526,6 +1023,20 @@ export function validateLayout(layout: Layout, contextName: string): void {
       // TODO confirm if commenting the line below doesn't cause unexpected problems
       // throw new Error('VueGridLayout: ' + contextName + '[' + i + '].i must be a string!');
     }
+    if (item.z !== undefined && item.z !== null && typeof item.z !== "number") {
+      throw new Error(
+        "VueGridLayout: " + contextName + "[" + i + "].z must be a number!"
+      );
+    }
+    if (
+      item.priority !== undefined &&
+      item.priority !== null &&
+      typeof item.priority !== "number"
+    ) {
+      throw new Error(
+        "VueGridLayout: " + contextName + "[" + i + "].priority must be a number!"
+      );
+    }
     if (item.static !== undefined && typeof item.static !== "boolean") {
       throw new Error(
         "VueGridLayout: " +
@@ -538,6 +1049,168 @@ export function validateLayout(layout: Layout, contextName: string): void {
   }
 }
 
+export type TilingReport = {
+  valid: boolean,
+  overlaps: Array<[string, string]>,
+  gaps: Array<{ x: number, y: number }>,
+  outOfBounds: Array<string>,
+};
+
+/**
+ * Check that a tiled layout covers every cell of its bounding box exactly once.
+ * The box is `cols` wide and as tall as the layout's bottom. Does not throw.
+ *
+ * @param  {Array}  layout Array of layout items.
+ * @param  {Number} cols   Number of columns.
+ * @return {Object}        Report with `valid`, `overlaps` (pairs of item ids),
+ *                         `gaps` (uncovered cells) and `outOfBounds` (item ids).
+ */
+export function validateTiling(layout: Layout, cols: number): TilingReport {
+  const overlaps = [];
+  const gaps = [];
+  const outOfBounds = [];
+  const rows = bottom(layout);
+  const covered = createCellGrid(rows, cols);
+
+  for (let i = 0, len = layout.length; i < len; i++) {
+    const l = layout[i];
+    if (!isOnGrid(l, cols)) outOfBounds.push(l.i);
+    for (let j = i + 1; j < len; j++) {
+      if (collides(l, layout[j])) overlaps.push([l.i, layout[j].i]);
+    }
+    markCells(covered, l, rows, cols);
+  }
+
+  for (let y = 0; y < rows; y++) {
+    for (let x = 0; x < cols; x++) {
+      if (!covered[y][x]) gaps.push({ x, y });
+    }
+  }
+
+  return {
+    valid: !overlaps.length && !gaps.length && !outOfBounds.length,
+    overlaps,
+    gaps,
+    outOfBounds,
+  };
+}
+
+/**
+ * Repair a tiled layout as far as possible. Items are processed in row/column
+ * order, so the same input always gives the same output:
+ * 1. coordinates are rounded and items are moved back inside the columns;
+ * 2. an item overlapping an earlier one is moved below it;
+ * 3. non-static items grow down, right, up and left into the uncovered cells next to them.
+ * A hole that no non-static neighbour can grow into with its whole edge is left in
+ * place, e.g. one that only borders static items. Check the result with `validateTiling`.
+ *
+ * @param  {Array}  layout Array of layout items.
+ * @param  {Number} cols   Number of columns.
+ * @return {Array}         Repaired copy of the layout, in the original order.
+ */
+export function repairTiling(layout: Layout, cols: number): Layout {
+  const out = cloneLayout(layout);
+  const sorted = sortLayoutItemsByRowCol(out);
+  const placed = [];
+
+  for (let i = 0, len = sorted.length; i < len; i++) {
+    const l = sorted[i];
+    l.w = Math.min(Math.max(Math.round(l.w), 1), cols);
+    l.h = Math.max(Math.round(l.h), 1);
+    l.x = Math.min(Math.max(Math.round(l.x), 0), cols - l.w);
+    l.y = Math.max(Math.round(l.y), 0);
+    let collision;
+    while ((collision = getFirstCollision(placed, l))) {
+      l.y = collision.y + collision.h;
+    }
+    placed.push(l);
+  }
+
+  const rows = bottom(out);
+  const covered = createCellGrid(rows, cols);
+  sorted.forEach((l) => markCells(covered, l, rows, cols));
+  growIntoFreeCells(sorted, covered, rows, cols);
+
+  return out;
+}
+
+/**
+ * Let non-static items grow down, right, up and left, one row or column at a
+ * time, into cells not marked in `covered`. An item only grows when its whole
+ * edge is free. Items and `covered` are modified in place.
+ */
+function growIntoFreeCells(
+  items: Layout,
+  covered: Array<Array<boolean>>,
+  rows: number,
+  cols: number
+): void {
+  const isFree = (x, y) =>
+    x >= 0 && x < cols && y >= 0 && y < rows && !covered[y][x];
+  const edgeIsFree = (x, y, w, h) => {
+    for (let yy = y; yy < y + h; yy++) {
+      for (let xx = x; xx < x + w; xx++) {
+        if (!isFree(xx, yy)) return false;
+      }
+    }
+    return true;
+  };
+
+  let grown = true;
+  while (grown) {
+    grown = false;
+    for (let i = 0, len = items.length; i < len; i++) {
+      const l = items[i];
+      if (l.static) continue;
+      if (edgeIsFree(l.x, l.y + l.h, l.w, 1)) {
+        l.h++;
+      } else if (edgeIsFree(l.x + l.w, l.y, 1, l.h)) {
+        l.w++;
+      } else if (edgeIsFree(l.x, l.y - 1, l.w, 1)) {
+        l.y--;
+        l.h++;
+      } else if (edgeIsFree(l.x - 1, l.y, 1, l.h)) {
+        l.x--;
+        l.w++;
+      } else {
+        continue;
+      }
+      markCells(covered, l, rows, cols);
+      grown = true;
+    }
+  }
+}
+
+function isOnGrid(l: LayoutItem, cols: number): boolean {
+  return (
+    Number.isInteger(l.x) &&
+    Number.isInteger(l.y) &&
+    Number.isInteger(l.w) &&
+    Number.isInteger(l.h) &&
+    l.x >= 0 &&
+    l.y >= 0 &&
+    l.w > 0 &&
+    l.h > 0 &&
+    l.x + l.w <= cols
+  );
+}
+
+function createCellGrid(rows: number, cols: number): Array<Array<boolean>> {
+  const grid = Array(rows);
+  for (let y = 0; y < rows; y++) grid[y] = Array(cols).fill(false);
+  return grid;
+}
+
+function markCells(grid, l: LayoutItem, rows: number, cols: number): void {
+  const x0 = Math.max(Math.floor(l.x), 0);
+  const y0 = Math.max(Math.floor(l.y), 0);
+  const x1 = Math.min(Math.ceil(l.x + l.w), cols);
+  const y1 = Math.min(Math.ceil(l.y + l.h), rows);
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) grid[y][x] = true;
+  }
+}
+
 // Flow can't really figure this out, so we just use Object
 export function autoBindHandlers(el: Object, fns: Array<string>): void {
   fns.forEach((key) => (el[key] = el[key].bind(el)));
@@ -659,52 +1332,124 @@ function exchangeLayout(layout, l1, l2) {
 }
 
 /**
- * dragItem拖拽后上下左右平分dropItem
- * l1(dragItem),l2(dropItem)
- * TODO w,h为奇数如3 5 7等特殊处理
+ * 把长度为size的边切成两段整数，返回靠前一段（上/左）的长度，两段都至少为1
+ * 切分位置由split.ratio决定：
+ * 默认（half）- 平分，cursor - 切分线吸附到离鼠标最近的整数格，
+ * 数组 - 拖拽块所占比例的可选值，取切分线离鼠标最近的一个
+ * 切分线不在整数格上时多出的1格按split.remainder分配：
+ * drag - 给拖拽块，drop - 给被放置块，cursor - 给鼠标所在的一段
+ * @param {Number} size      被切分边的长度
+ * @param {Boolean} dragFirst 拖拽块是否在靠前一段（top/left）
+ * @param {Object} split      { remainder, ratio }
+ * @param {Number} offset     鼠标距离该边起点的距离
  */
-function SplitDropItem(layout, l1, l2, pos) {
-  const l1Idx = layout.findIndex((item) => item.i === l1.i);
-  const l2Idx = layout.findIndex((item) => item.i === l2.i);
-  const { x, y, w, h } = l2;
-  const centerX = x + w / 2;
-  const centerY = y + h / 2;
+function getSplitSize(size, dragFirst, split, offset) {
+  const { remainder, ratio } = split || {};
+  const hasOffset = typeof offset === "number";
+  const clamp = (first) => Math.min(Math.max(first, 1), size - 1);
+  if (ratio === "cursor" && hasOffset) return clamp(Math.round(offset));
+
+  let exact = size / 2;
+  if (Array.isArray(ratio) && ratio.length) {
+    exact = undefined;
+    ratio.forEach((r) => {
+      const first = dragFirst ? r * size : size - r * size;
+      if (
+        exact === undefined ||
+        (hasOffset && Math.abs(first - offset) < Math.abs(exact - offset))
+      ) {
+        exact = first;
+      }
+    });
+  }
+  // 去掉浮点误差，如 (2 / 3) * 3
+  exact = Math.round(exact * 1e6) / 1e6;
+  if (Number.isInteger(exact)) return clamp(exact);
+
+  let firstGetsExtra;
+  switch (remainder) {
+    case "drop":
+      firstGetsExtra = !dragFirst;
+      break;
+    case "cursor":
+      firstGetsExtra = hasOffset && offset !== exact ? offset < exact : dragFirst;
+      break;
+    default:
+      firstGetsExtra = dragFirst;
+  }
+  return clamp(firstGetsExtra ? Math.ceil(exact) : Math.floor(exact));
+}
+
+/**
+ * 计算dropItem被切分后拖拽块(drag)和dropItem(drop)各自的位置，保证都是整数
+ * @param {String} pos       top、bottom、left、right
+ * @param {Object} dropItem  被放置的块
+ * @param {Object} split     切分方式 { remainder, ratio }，见getSplitSize
+ * @param {Object} mouseOffset 鼠标相对dropItem左上角的位置 {x, y}
+ */
+export function getSplitRects(pos, dropItem, split, mouseOffset) {
+  const { x, y, w, h } = dropItem;
+  const offset = mouseOffset || {};
+  let first;
   switch (pos) {
     case "top":
-      layout[l1Idx] = { ...l1, x, y, w, h: h / 2 };
-      layout[l2Idx] = { ...l2, y: centerY, h: h / 2 };
-      break;
+      first = getSplitSize(h, true, split, offset.y);
+      return {
+        drag: { x, y, w, h: first },
+        drop: { x, y: y + first, w, h: h - first },
+      };
     case "bottom":
-      layout[l1Idx] = {
-        ...l1,
-        x,
-        y: centerY,
-        w,
-        h: h / 2,
+      first = getSplitSize(h, false, split, offset.y);
+      return {
+        drag: { x, y: y + first, w, h: h - first },
+        drop: { x, y, w, h: first },
       };
-      layout[l2Idx] = { ...l2, h: h / 2 };
-      break;
     case "left":
-      layout[l1Idx] = {
-        ...l1,
-        x,
-        y,
-        w: w / 2,
-        h,
+      first = getSplitSize(w, true, split, offset.x);
+      return {
+        drag: { x, y, w: first, h },
+        drop: { x: x + first, y, w: w - first, h },
       };
-      layout[l2Idx] = { ...l2, w: w / 2, x: centerX };
-      break;
     case "right":
-      layout[l1Idx] = {
-        ...l1,
-        x: centerX,
-        y,
-        w: w / 2,
-        h,
+      first = getSplitSize(w, false, split, offset.x);
+      return {
+        drag: { x: x + first, y, w: w - first, h },
+        drop: { x, y, w: first, h },
       };
-      layout[l2Idx] = { ...l2, w: w / 2 };
-      break;
   }
+}
+
+/**
+ * dragItem拖拽后上下左右切分dropItem
+ * l1(dragItem),l2(dropItem)，切分结果取自placeholder，保证与预览一致
+ * dropItem已被fillGap撑大时按撑大后的位置重新切分
+ */
+function SplitDropItem(layout, l1, l2, placeholder) {
+  const l1Idx = layout.findIndex((item) => item.i === l1.i);
+  const l2Idx = layout.findIndex((item) => item.i === l2.i);
+  const dropItem = layout[l2Idx];
+  let drag = placeholder;
+  let drop = placeholder.dropRect;
+  if (
+    dropItem.x !== l2.x ||
+    dropItem.y !== l2.y ||
+    dropItem.w !== l2.w ||
+    dropItem.h !== l2.h
+  ) {
+    const offset = placeholder.mouseOffset && {
+      x: placeholder.mouseOffset.x + l2.x - dropItem.x,
+      y: placeholder.mouseOffset.y + l2.y - dropItem.y,
+    };
+    ({ drag, drop } = getSplitRects(
+      placeholder.pos,
+      dropItem,
+      placeholder.split,
+      offset
+    ));
+  }
+  const { x, y, w, h } = drag;
+  layout[l1Idx] = { ...l1, x, y, w, h };
+  layout[l2Idx] = { ...dropItem, ...drop };
   return layout;
 }
 
@@ -767,6 +1512,13 @@ export function judgeDragPostion({ w, h, x, y, l, l1 }) {
   }
 
   //大小不一样 上下左右
+  return judgeEdgePostion({ w, h, x, y });
+}
+
+/**
+ * 只按两条对角线把drop块切成上下左右四个三角形，坐标系在左下角
+ */
+function judgeEdgePostion({ w, h, x, y }) {
   if (y <= (h / w) * x) {
     // 下、右
     if (y >= h - (h / w) * x) {
@@ -783,84 +1535,126 @@ export function judgeDragPostion({ w, h, x, y, l, l1 }) {
   }
 }
 
-function getPlaceholderPostion(pos, dropItem) {
-  let x, y, w, h;
-  switch (pos) {
-    case "center":
-      x = dropItem.x;
-      y = dropItem.y;
-      w = dropItem.w;
-      h = dropItem.h;
-      break;
-    case "top":
-      x = dropItem.x;
-      y = dropItem.y;
-      w = dropItem.w;
-      h = dropItem.h / 2;
-      break;
-    case "bottom":
-      x = dropItem.x;
-      y = dropItem.y + dropItem.h / 2;
-      w = dropItem.w;
-      h = dropItem.h / 2;
-      break;
-    case "left":
-      x = dropItem.x;
-      y = dropItem.y;
-      w = dropItem.w / 2;
-      h = dropItem.h;
-      break;
-    case "right":
-      x = dropItem.x + dropItem.w / 2;
-      y = dropItem.y;
-      w = dropItem.w / 2;
-      h = dropItem.h;
-      break;
-    default:
-      return undefined;
+/**
+ * 内置的落点判断规则，可通过GridLayout的dropZoneResolver指定名称
+ * 参数 { target, dragItem, x, y }：target为鼠标下的块，x、y为鼠标相对target左上角的位置（格子）
+ * 返回 top、bottom、left、right、center，返回空值表示不能放置
+ */
+export const dropZoneResolvers = {
+  // 三等分+对角线，大小一致或边贴合时中间区域换位（默认）
+  thirds({ target, dragItem, x, y }) {
+    return judgeDragPostion({
+      w: target.w,
+      h: target.h,
+      x,
+      y: target.h - y,
+      l: dragItem,
+      l1: target,
+    });
+  },
+  // 只按对角线切分，从不换位
+  edges({ target, x, y }) {
+    return judgeEdgePostion({ w: target.w, h: target.h, x, y: target.h - y });
+  },
+  // 只换位，从不切分
+  center() {
+    return "center";
+  },
+};
+
+function resolveDropZone(resolver, params) {
+  if (typeof resolver === "function") return resolver(params);
+  const preset = dropZoneResolvers[resolver || "thirds"];
+  if (!preset) {
+    throw new Error(
+      "VueGridLayout: unknown dropZoneResolver '" + resolver + "'!"
+    );
+  }
+  return preset(params);
+}
+
+function getPlaceholderPostion(pos, dropItem, split, mouseOffset) {
+  if (pos === "center") {
+    const { x, y, w, h } = dropItem;
+    return { x, y, w, h, i: dropItem.i, dropItem, pos };
   }
+  const rects = getSplitRects(pos, dropItem, split, mouseOffset);
+  if (!rects) return undefined;
   return {
-    x,
-    y,
-    w,
-    h,
+    ...rects.drag,
     i: dropItem.i,
     dropItem,
+    dropRect: rects.drop,
     pos,
+    split,
+    mouseOffset,
   };
 }
 
-function handlerBoundaryContions(pos, w, h) {
-  if (w > 1 && h > 1) {
-    return pos;
-  } else if (w > 1 && h < 2) {
-    if (!["top", "bottom"].includes(pos)) return pos;
-  } else if (h > 1 && w < 2) {
-    if (!["left", "right"].includes(pos)) return pos;
-  } else {
-    if (pos === "center") return pos;
+/**
+ * 宽或高为1的块无法在该方向切分，改为另一方向切分；两个方向都不能切分时只允许换位
+ */
+function handlerBoundaryContions(pos, { w, h }, { x, y }) {
+  if (!pos || pos === "center") return pos;
+  const vertical = pos === "top" || pos === "bottom";
+  if (vertical ? h > 1 : w > 1) return pos;
+  if (vertical && w > 1) return x < w / 2 ? "left" : "right";
+  if (!vertical && h > 1) return y < h / 2 ? "top" : "bottom";
+}
+
+/**
+ * 根据鼠标位置计算拖拽块在drop块上的放置区域
+ * @param {Array} layout
+ * @param {Object} mousePos  鼠标位置，单位为格子
+ * @param {Object} l         拖拽中的块
+ * @param {Object} [options]
+ * @param {String} [options.splitRemainder]   切分线不在整数格上时多余格子的归属：drag、drop、cursor
+ * @param {String|Array} [options.splitRatio] 切分比例：half、cursor或拖拽块所占比例的可选值
+ * @param {String|Function} [options.dropZoneResolver] 落点判断规则，见dropZoneResolvers
+ * @param {Array} [options.blockedRegions]    禁止放置的区域，落点与其重叠时不放置
+ * @return {Object} 放置区域x、y、w、h即dropElement后拖拽块的实际位置
+ */
+export function getMousePlaceholder(layout, mousePos, l, options = {}) {
+  const placeholder = findMousePlaceholder(layout, mousePos, l, options);
+  if (!placeholder) return;
+  // 分割树上目标块会先长进拖拽块空出的位置，落点以放置结果为准
+  const dropped = dropElement(layout, l, placeholder);
+  // 放置被拒绝（会动到静态块）
+  if (dropped === layout) return;
+  const landed = getLayoutItem(dropped, l.i);
+  const target = getLayoutItem(dropped, placeholder.dropItem.i);
+  if (landed) {
+    const { x, y, w, h } = landed;
+    Object.assign(placeholder, { x, y, w, h });
+  }
+  if (target && placeholder.dropRect) {
+    const { x, y, w, h } = target;
+    placeholder.dropRect = { x, y, w, h };
+  }
+  if (!getFirstCollision(getBlockedItems(options.blockedRegions), placeholder)) {
+    return placeholder;
   }
 }
 
-export function getMousePlaceholder(layout, mousePos, l) {
+function findMousePlaceholder(layout, mousePos, l, options) {
   for (let idx = 0, len = layout.length; idx < len; idx++) {
     let { x, y, w, h, i } = layout[idx];
     let { x: x1, y: y1 } = mousePos;
     if (x1 >= x && x1 <= x + w && y1 >= y && y1 <= y + h) {
-      let delX = x1 - x;
-      let delY = h - (y1 - y);
-      if (l.i !== i) {
-        const pos = judgeDragPostion({
-          w,
-          h,
-          x: delX,
-          y: delY,
-          l,
-          l1: layout[idx],
+      // 静态块上不能放置
+      if (l.i !== i && !layout[idx].static) {
+        const offset = { x: x1 - x, y: y1 - y };
+        const pos = resolveDropZone(options.dropZoneResolver, {
+          target: layout[idx],
+          dragItem: l,
+          x: offset.x,
+          y: offset.y,
         });
         return getPlaceholderPostion(
-          handlerBoundaryContions(pos, w, h),
-          layout[idx]
+          handlerBoundaryContions(pos, layout[idx], offset),
+          layout[idx],
+          { remainder: options.splitRemainder, ratio: options.splitRatio },
+          offset
         );
       }
       // eslint-disable-next-line no-unreachable
@@ -869,7 +1663,7 @@ export function getMousePlaceholder(layout, mousePos, l) {
   }
 }
 
-// 获取和当前块边完全对齐的块，可能是一个也可以是多个
+// 获取和当前块边完全对齐的块，可能是一个也可以是多个，有静态块的边不算
 // TODO寻找最小面积块-复杂度高暂不做
 function getAlignItems(layout, l) {
   // l（当前移动中的块）的边
@@ -886,7 +1680,7 @@ function getAlignItems(layout, l) {
             item.x + item.w <= l.x + l.w
         )
         .sort((a, b) => a.x - b.x);
-      if (items.length) {
+      if (items.length && !items.some((item) => item.static)) {
         const firstItem = items[0];
         const lastItem = items[items.length - 1];
         if (firstItem.x === l.x && lastItem.x + lastItem.w === l.x + l.w) {
@@ -908,7 +1702,7 @@ function getAlignItems(layout, l) {
             item.x + item.w <= l.x + l.w
         )
         .sort((a, b) => a.x - b.x);
-      if (items.length) {
+      if (items.length && !items.some((item) => item.static)) {
         const firstItem = items[0];
         const lastItem = items[items.length - 1];
         if (firstItem.x === l.x && lastItem.x + lastItem.w === l.x + l.w) {
@@ -926,7 +1720,7 @@ function getAlignItems(layout, l) {
             item.y + item.h <= l.y + l.h
         )
         .sort((a, b) => a.y - b.y);
-      if (items.length) {
+      if (items.length && !items.some((item) => item.static)) {
         const firstItem = items[0];
         const lastItem = items[items.length - 1];
         if (firstItem.y === l.y && lastItem.y + lastItem.h === l.y + l.h) {
@@ -944,7 +1738,7 @@ function getAlignItems(layout, l) {
             item.y + item.h <= l.y + l.h
         )
         .sort((a, b) => a.y - b.y);
-      if (items.length) {
+      if (items.length && !items.some((item) => item.static)) {
         const firstItem = items[0];
         const lastItem = items[items.length - 1];
         if (firstItem.y === l.y && lastItem.y + lastItem.h === l.y + l.h) {
@@ -961,9 +1755,90 @@ function getAlignItems(layout, l) {
   return resItems;
 }
 
+/**
+ * 像分割条一样移动l的右边和下边：边另一侧对齐的块同步缩小或放大，布局始终没有空隙
+ * 布局外侧的边（另一侧没有块）不移动
+ * @param {Array} layout  平铺布局，会被直接修改
+ * @param {Object} l      被调整大小的块
+ * @param {Number} w      新的宽度
+ * @param {Number} h      新的高度
+ * @return {Array} layout
+ */
+export function moveSplitter(layout, l, w, h) {
+  if (l.static) return layout;
+  if (typeof w === "number" && w !== l.w) shiftEdge(layout, l, "x", w - l.w);
+  if (typeof h === "number" && h !== l.h) shiftEdge(layout, l, "y", h - l.h);
+  return layout;
+}
+
+// 移动l在axis方向上的后一条边，delta为移动的格数
+function shiftEdge(layout, l, axis, delta) {
+  const pos = axis;
+  const size = axis === "x" ? "w" : "h";
+  const crossPos = axis === "x" ? "y" : "x";
+  const crossSize = axis === "x" ? "h" : "w";
+  const minSize = axis === "x" ? "minW" : "minH";
+  const maxSize = axis === "x" ? "maxW" : "maxH";
+  const edge = l[pos] + l[size];
+  let start = l[crossPos];
+  let end = start + l[crossSize];
+  let before = [];
+  let after = [];
+
+  // 沿着边延伸，直到两侧的块在两端都对齐，这一段边上的块一起移动
+  let extended = true;
+  while (extended) {
+    extended = false;
+    const onSegment = (item) =>
+      item[crossPos] < end && item[crossPos] + item[crossSize] > start;
+    before = layout.filter(
+      (item) => item[pos] + item[size] === edge && onSegment(item)
+    );
+    after = layout.filter((item) => item[pos] === edge && onSegment(item));
+    before.concat(after).forEach((item) => {
+      if (item[crossPos] < start) {
+        start = item[crossPos];
+        extended = true;
+      }
+      if (item[crossPos] + item[crossSize] > end) {
+        end = item[crossPos] + item[crossSize];
+        extended = true;
+      }
+    });
+  }
+  if (!after.length) return;
+  if (before.concat(after).some((item) => item.static)) return;
+
+  // 两侧的块都不能小于最小值、大于最大值
+  const clamp = (value, lower, upper) =>
+    Math.min(Math.max(value, lower), upper);
+  before.forEach((item) => {
+    delta = clamp(
+      delta,
+      (item[minSize] || 1) - item[size],
+      (item[maxSize] || Infinity) - item[size]
+    );
+  });
+  after.forEach((item) => {
+    delta = clamp(
+      delta,
+      item[size] - (item[maxSize] || Infinity),
+      item[size] - (item[minSize] || 1)
+    );
+  });
+  if (!delta) return;
+
+  before.forEach((item) => {
+    item[size] += delta;
+  });
+  after.forEach((item) => {
+    item[pos] += delta;
+    item[size] -= delta;
+  });
+}
+
 // fillGap
 function fillGap(layout, changeList) {
-  console.log(changeList);
   changeList.map(({ i, x = 0, y = 0, h = 0, w = 0 } = {}) => {
     const index = layout.findIndex((l) => l.i === i);
     layout[index] = {
@@ -976,9 +1851,58 @@ function fillGap(layout, changeList) {
   });
 }
 
+/**
+ * 从平铺布局中删除块i，相邻块补上空出的位置
+ * 能用分割树表示时按树合并；否则边完全对齐的块补位；都不行时相邻块尽量长进空位
+ * @param {Array} layout
+ * @param {String} i      要删除的块
+ * @param {Number} [cols] 列数，默认为布局最右边
+ * @return {Array} 新的布局，不含块i，其余块顺序不变
+ */
+export function removeTile(layout, i, cols) {
+  const l = getLayoutItem(layout, i);
+  if (!l) return layout;
+  const tree = layoutToSplitTree(layout, cols);
+  // 静态块要变大时树上不能合并，按数组补位
+  const merged = tree && removeFromSplitTree(tree, i);
+  if (merged) {
+    const items = splitTreeToLayout(merged);
+    return layout
+      .filter((item) => item.i !== i)
+      .map((item) => getLayoutItem(items, item.i));
+  }
+
+  const rest = cloneLayout(layout.filter((item) => item.i !== i));
+  const alignItems = getAlignItems(rest, l);
+  if (alignItems.length) {
+    fillGap(rest, alignItems);
+    return rest;
+  }
+
+  // 只让相邻块长进被删除块空出的格子
+  const width = cols || Math.max(...layout.map((item) => item.x + item.w));
+  const rows = bottom(layout);
+  const covered = createCellGrid(rows, width).map((row) => row.fill(true));
+  for (let y = l.y; y < l.y + l.h; y++) {
+    for (let x = l.x; x < l.x + l.w; x++) covered[y][x] = false;
+  }
+  rest.forEach((item) => markCells(covered, item, rows, width));
+  growIntoFreeCells(sortLayoutItemsByRowCol(rest), covered, rows, width);
+  return rest;
+}
+
 // dropElement
+// 能用分割树表示的布局在树上操作（换位时两块互换位置和大小），否则按数组贴合补位
+// 静态块不移动也不变大，需要动静态块的放置不执行，返回原布局
 export function dropElement(layout, l, mousePlaceholder) {
-  if (!mousePlaceholder) return layout;
+  if (!mousePlaceholder || l.static || mousePlaceholder.dropItem.static) return layout;
+  const tree = layoutToSplitTree(layout);
+  if (tree) {
+    const dropped = dropOnSplitTree(tree, l, mousePlaceholder);
+    if (!dropped) return layout;
+    const items = splitTreeToLayout(dropped);
+    return layout.map((item) => getLayoutItem(items, item.i));
+  }
   let copyLayout = cloneLayout(layout);
   switch (mousePlaceholder.pos) {
     case "center":
@@ -989,12 +1913,7 @@ export function dropElement(layout, l, mousePlaceholder) {
       // left、right、top、bottom
       // 贴合块填补空位
       fillGap(copyLayout, getAlignItems(layout, l));
-      SplitDropItem(
-        copyLayout,
-        l,
-        mousePlaceholder.dropItem,
-        mousePlaceholder.pos
-      );
+      SplitDropItem(copyLayout, l, mousePlaceholder.dropItem, mousePlaceholder);
       break;
   }
   return copyLayout;
@@ -0,0 +1,302 @@
+// Tests for the headless engine, run against the build in dist/ (npm test builds it first).
+const test = require('node:test');
+const assert = require('assert');
+
+const engine = require('../../engine');
+const spatialIndex = require('../../dist/helpers/spatialIndex');
+const { getSplitRects } = require('../../dist/helpers/utils');
+
+// Layout of `n` items at random places, the same for every run.
+function randomLayout(n, cols) {
+  let seed = 42;
+  const random = max => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed % max;
+  };
+  const layout = [];
+  for (let i = 0; i < n; i++) {
+    const w = 1 + random(4);
+    layout.push({ i: String(i), x: random(cols - w + 1), y: random(n), w, h: 1 + random(4) });
+  }
+  return layout;
+}
+
+// Run `fn` with the engine scanning every item instead of using the spatial index.
+function withoutIndex(fn) {
+  const withSpatialIndex = spatialIndex.withSpatialIndex;
+  spatialIndex.withSpatialIndex = (layout, run) => run();
+  try {
+    return fn();
+  } finally {
+    spatialIndex.withSpatialIndex = withSpatialIndex;
+  }
+}
+
+test('the engine build loads in Node without a DOM', () => {
+  assert.strictEqual(typeof document, 'undefined');
+  assert.strictEqual(typeof engine.compact, 'function');
+  assert.strictEqual(engine.default.compact, engine.compact);
+});
+
+test('compact returns a new layout and leaves its argument alone', () => {
+  const layout = [{ i: 'a', x: 0, y: 3, w: 1, h: 1 }];
+  const compacted = engine.compact(layout, 'vertical');
+  assert.strictEqual(compacted[0].y, 0);
+  assert.strictEqual(layout[0].y, 3);
+});
+
+test('allowOverlap never lets an item onto a blocked region', () => {
+  const layout = [{ i: 'a', x: 0, y: 0, w: 2, h: 2 }, { i: 'b', x: 4, y: 0, w: 2, h: 2 }];
+  const regions = [{ x: 8, y: 0, w: 2, h: 2 }];
+
+  // items may still overlap each other
+  const overlapping = engine.moveElement(layout, layout[0], 4, 0, true, false, 'vertical', 12, true, undefined, undefined, regions);
+  assert.deepStrictEqual([overlapping[0].x, overlapping[0].y], [4, 0]);
+
+  const refused = engine.moveElement(layout, layout[0], 8, 0, true, false, 'vertical', 12, true, undefined, undefined, regions);
+  assert.deepStrictEqual([refused[0].x, refused[0].y], [0, 0]);
+
+  const compacted = engine.compact([{ i: 'a', x: 8, y: 1, w: 2, h: 2 }], 'vertical', 12, true, undefined, regions);
+  assert.deepStrictEqual([compacted[0].x, compacted[0].y], [8, 2]);
+});
+
+test('maxRows keeps pushed and placed items above the last row where there is room', () => {
+  const layout = [{ i: 'a', x: 0, y: 0, w: 2, h: 2 }, { i: 'b', x: 0, y: 2, w: 2, h: 2 }, { i: 'c', x: 2, y: 0, w: 2, h: 2 }];
+
+  // b would be pushed below row 4, it takes the free place next to a instead
+  const pushed = engine.moveElement(layout, layout[0], 0, 2, false, false, 'vertical', 4, false, 4);
+  assert.deepStrictEqual([pushed[1].x, pushed[1].y], [2, 2]);
+  assert.strictEqual(engine.moveElement(layout, layout[0], 0, 2, false, false, 'vertical', 4)[1].y, 3);
+
+  const placed = engine.autoPlaceItems([{ i: 'a', x: 0, y: 0, w: 1, h: 1 }, { i: 'b', x: 1, y: 1, w: 1, h: 1 },
+    { i: 'n', w: 1, h: 1 }], 2, 'bottom', 2);
+  assert.deepStrictEqual([placed[2].x, placed[2].y], [1, 0]);
+
+  const layouts = { lg: [{ i: 'a', x: 0, y: 0, w: 2, h: 1 }], sm: [{ i: 'a', x: 0, y: 0, w: 1, h: 1 }, { i: 'b', x: 0, y: 1, w: 1, h: 1 }] };
+  const resized = [{ i: 'a', x: 0, y: 0, w: 2, h: 3 }];
+  const cols = { lg: 4, sm: 2 };
+  assert.ok(engine.propagateSizes(resized, layouts, 'lg', cols, 'vertical', false).sm);
+  assert.deepStrictEqual(engine.propagateSizes(resized, layouts, 'lg', cols, 'vertical', false, { lg: 10, sm: 3 }), {});
+});
+
+test('the tile placeholder is where dropElement puts the item', () => {
+  const layout = [{ i: 'a', x: 0, y: 0, w: 1, h: 2 }, { i: 'b', x: 1, y: 0, w: 4, h: 2 }];
+
+  // b first grows into the place a leaves, then gives a its right half
+  const placeholder = engine.getMousePlaceholder(layout, { x: 4.5, y: 1 }, layout[0]);
+  assert.strictEqual(placeholder.pos, 'right');
+  const dropped = engine.dropElement(layout, layout[0], placeholder);
+  const { x, y, w, h } = dropped[0];
+  assert.deepStrictEqual({ x, y, w, h }, { x: placeholder.x, y: placeholder.y, w: placeholder.w, h: placeholder.h });
+  assert.deepStrictEqual([x, w], [2, 3]);
+});
+
+test('a center drop swaps the areas of the two tiles', () => {
+  const layout = [{ i: 'a', x: 0, y: 0, w: 1, h: 2 }, { i: 'b', x: 1, y: 0, w: 4, h: 2 }];
+  const placeholder = engine.getMousePlaceholder(layout, { x: 3, y: 1 }, layout[0]);
+  assert.strictEqual(placeholder.pos, 'center');
+  const dropped = engine.dropElement(layout, layout[0], placeholder);
+  assert.deepStrictEqual([dropped[0].x, dropped[0].w, dropped[1].x, dropped[1].w], [1, 4, 0, 1]);
+  assert.deepStrictEqual([placeholder.x, placeholder.w], [1, 4]);
+});
+
+test('repairTiling leaves the holes only static items border', () => {
+  const layout = [{ i: 's', x: 0, y: 0, w: 1, h: 1, static: true }, { i: 'a', x: 0, y: 1, w: 2, h: 1 },
+    { i: 'b', x: 0, y: 2, w: 1, h: 1 }];
+  const repaired = engine.repairTiling(layout, 2);
+  // b grows right, nothing but s can reach the cell next to it
+  assert.deepStrictEqual([repaired[2].w, repaired[0].w], [2, 1]);
+  assert.deepStrictEqual(engine.validateTiling(repaired, 2).gaps, [{ x: 1, y: 0 }]);
+});
+
+test('a packLayout preview is the layout the grid applies', () => {
+  const layout = [{ i: 'a', x: 0, y: 0, w: 3, h: 1 }, { i: 'b', x: 0, y: 1, w: 3, h: 1 }, { i: 'c', x: 0, y: 2, w: 1, h: 2 }];
+  const preview = engine.packLayout(layout, 4, { keepOrder: true, compactType: 'vertical' });
+  // the order cursor would leave c a row below the free place next to a
+  assert.deepStrictEqual([preview[2].x, preview[2].y], [3, 0]);
+  const applied = engine.compact(preview, 'vertical', 4);
+  const rects = out => out.map(({ i, x, y, w, h }) => ({ i, x, y, w, h }));
+  assert.deepStrictEqual(rects(applied), rects(preview));
+});
+
+test('tile drops leave static tiles alone', () => {
+  const layout = [{ i: 'a', x: 0, y: 0, w: 1, h: 2 }, { i: 's', x: 1, y: 0, w: 1, h: 2, static: true },
+    { i: 'b', x: 2, y: 0, w: 2, h: 2 }];
+  // s would have to grow into a's place
+  assert.strictEqual(engine.getMousePlaceholder(layout, { x: 3.8, y: 1 }, layout[0]), undefined);
+  const placeholder = { pos: 'right', dropItem: layout[2], x: 3, y: 0, w: 1, h: 2, dropRect: { x: 2, y: 0, w: 1, h: 2 } };
+  assert.strictEqual(engine.dropElement(layout, layout[0], placeholder), layout);
+  // nothing can be dropped on a static tile
+  assert.strictEqual(engine.getMousePlaceholder(layout, { x: 1.5, y: 1 }, layout[0]), undefined);
+});
+
+test('removeTile never grows a static tile', () => {
+  const layout = [{ i: 'a', x: 0, y: 0, w: 1, h: 2 }, { i: 's', x: 1, y: 0, w: 1, h: 2, static: true },
+    { i: 'b', x: 2, y: 0, w: 2, h: 2 }];
+  const { x, y, w, h } = engine.getLayoutItem(engine.removeTile(layout, 'a', 4), 's');
+  assert.deepStrictEqual({ x, y, w, h }, { x: 1, y: 0, w: 1, h: 2 });
+});
+
+test('the spatial index gives the same results as a plain scan', () => {
+  const layout = randomLayout(150, 12);
+  const run = () => {
+    let out = engine.compact(layout, 'vertical', 12);
+    [[3, 0, 5], [40, 7, 2], [99, 0, 30], [120, 9, 0]].forEach(([index, x, y]) => {
+      out = engine.moveElement(out, out[index], x, y, true, false, 'vertical', 12);
+    });
+    return engine.compact(out, 'vertical', 12);
+  };
+  const indexed = run();
+  assert.deepStrictEqual(indexed, withoutIndex(run));
+  assert.strictEqual(indexed.length, 150);
+});
+
+test('splitting an odd side gives whole cells, the remainder going where splitRemainder says', () => {
+  const target = { x: 0, y: 0, w: 5, h: 3 };
+  const dragWidth = (remainder, offsetX) => getSplitRects('right', target, { remainder }, { x: offsetX, y: 1 }).drag.w;
+  assert.strictEqual(dragWidth('drag', 4), 3);
+  assert.strictEqual(dragWidth('drop', 4), 2);
+  // the extra cell goes to the half under the cursor
+  assert.strictEqual(dragWidth('cursor', 4), 3);
+  assert.strictEqual(dragWidth('cursor', 1), 2);
+  assert.deepStrictEqual(getSplitRects('top', target, { remainder: 'drag' }),
+    { drag: { x: 0, y: 0, w: 5, h: 2 }, drop: { x: 0, y: 2, w: 5, h: 1 } });
+
+  const layout = [{ i: 'a', x: 0, y: 0, w: 5, h: 1 }, { i: 't', x: 0, y: 1, w: 5, h: 2 }];
+  ['drag', 'drop', 'cursor'].forEach(splitRemainder => {
+    const placeholder = engine.getMousePlaceholder(layout, { x: 4.8, y: 2 }, layout[0], { splitRemainder });
+    assert.strictEqual(placeholder.pos, 'right');
+    const dropped = engine.dropElement(layout, layout[0], placeholder);
+    dropped.forEach(l => assert.ok([l.x, l.y, l.w, l.h].every(Number.isInteger)));
+    assert.deepStrictEqual([dropped[0].x, dropped[0].y, dropped[0].w, dropped[0].h],
+      [placeholder.x, placeholder.y, placeholder.w, placeholder.h]);
+  });
+});
+
+test('splitRatio cursor snaps the split to the cursor, arrays snap to the closest ratio', () => {
+  const target = { x: 0, y: 0, w: 6, h: 2 };
+  const rects = (ratio, offsetX) => getSplitRects('right', target, { ratio }, offsetX === undefined ? undefined : { x: offsetX, y: 1 });
+  assert.deepStrictEqual(rects('cursor', 4.4).drag, { x: 4, y: 0, w: 2, h: 2 });
+  // both parts keep at least one cell
+  assert.deepStrictEqual(rects('cursor', 0.2).drag, { x: 1, y: 0, w: 5, h: 2 });
+
+  assert.strictEqual(rects([1 / 3, 2 / 3], 1).drag.w, 4);
+  assert.strictEqual(rects([1 / 3, 2 / 3], 5).drag.w, 2);
+  // without a cursor the first ratio is used
+  assert.strictEqual(rects([1 / 3, 2 / 3]).drag.w, 2);
+  // a ratio off the grid is rounded with the remainder rule, the extra cell going to the dragged item
+  assert.strictEqual(getSplitRects('right', { x: 0, y: 0, w: 5, h: 2 }, { ratio: [1 / 3] }).drag.w, 2);
+});
+
+test('dropZoneResolver picks the drop zone, 1 cell wide or tall targets are split the other way', () => {
+  const layout = [{ i: 'a', x: 0, y: 0, w: 4, h: 4 }, { i: 't', x: 0, y: 4, w: 4, h: 4 }];
+  const pos = (mousePos, dropZoneResolver, items = layout) =>
+    (engine.getMousePlaceholder(items, mousePos, items[0], { dropZoneResolver }) || {}).pos;
+  assert.strictEqual(pos({ x: 2, y: 6 }), 'center');
+  // edges never swaps
+  assert.strictEqual(pos({ x: 1, y: 6 }, 'edges'), 'left');
+  assert.strictEqual(pos({ x: 0.2, y: 4.2 }, 'center'), 'center');
+  assert.throws(() => pos({ x: 1, y: 6 }, 'nope'), /unknown dropZoneResolver/);
+
+  let params;
+  assert.strictEqual(pos({ x: 1, y: 6.5 }, p => { params = p; return 'bottom'; }), 'bottom');
+  assert.deepStrictEqual([params.target.i, params.dragItem.i, params.x, params.y], ['t', 'a', 1, 2.5]);
+  assert.strictEqual(pos({ x: 1, y: 6.5 }, () => null), undefined);
+
+  // a 1 tall target can't be cut into a top and a bottom part, a 1 wide one into a left and a right part
+  const row = [{ i: 'a', x: 0, y: 0, w: 4, h: 1 }, { i: 't', x: 0, y: 1, w: 4, h: 1 }];
+  assert.strictEqual(pos({ x: 3.5, y: 1.5 }, () => 'top', row), 'right');
+  const column = [{ i: 'a', x: 0, y: 0, w: 1, h: 4 }, { i: 't', x: 1, y: 0, w: 1, h: 4 }];
+  assert.strictEqual(pos({ x: 1.5, y: 0.5 }, () => 'left', column), 'top');
+  const cells = [{ i: 'a', x: 0, y: 0, w: 1, h: 1 }, { i: 't', x: 1, y: 0, w: 1, h: 1 }];
+  assert.strictEqual(pos({ x: 1.5, y: 0.5 }, () => 'left', cells), undefined);
+  assert.strictEqual(pos({ x: 1.5, y: 0.5 }, () => 'center', cells), 'center');
+});
+
+test('horizontal compaction packs items to the left and wraps to the next row at cols', () => {
+  const packed = engine.compact([{ i: 'a', x: 3, y: 0, w: 2, h: 1 }, { i: 'b', x: 6, y: 0, w: 2, h: 1 }], 'horizontal', 8);
+  assert.deepStrictEqual(packed.map(l => [l.x, l.y]), [[0, 0], [2, 0]]);
+
+  // b doesn't fit next to a anymore
+  const wrapped = engine.compact([{ i: 'a', x: 0, y: 0, w: 3, h: 1 }, { i: 'b', x: 1, y: 0, w: 2, h: 1 }], 'horizontal', 4);
+  assert.deepStrictEqual(wrapped.map(l => [l.x, l.y]), [[0, 0], [0, 1]]);
+  // the old boolean still means vertical compaction
+  assert.strictEqual(engine.compact([{ i: 'a', x: 0, y: 3, w: 1, h: 1 }], true)[0].y, 0);
+});
+
+test('collisionStrategy decides where pushed items go', () => {
+  const row = [{ i: 'a', x: 0, y: 0, w: 2, h: 2 }, { i: 'b', x: 2, y: 0, w: 2, h: 2 }];
+  const move = (strategy) => engine.moveElement(row, row[0], 1, 0, true, false, 'vertical', 6, false, undefined, strategy)[1];
+  // b slides right, away from a, as long as its row has room
+  assert.deepStrictEqual([move('horizontal-first').x, move('horizontal-first').y], [3, 0]);
+  assert.deepStrictEqual([move('vertical').x, move('vertical').y], [2, 1]);
+
+  const layout = [{ i: 'a', x: 0, y: 0, w: 2, h: 2 }, { i: 'b', x: 0, y: 2, w: 2, h: 2 }, { i: 'c', x: 2, y: 0, w: 2, h: 2 }];
+  const nearest = engine.moveElement(layout, layout[0], 0, 2, false, false, 'vertical', 4, false, undefined, 'nearest-free-slot');
+  assert.deepStrictEqual([nearest[1].x, nearest[1].y], [2, 2]);
+
+  assert.throws(() => engine.moveElement(layout, layout[0], 0, 2, false, false, 'vertical', 4, false, undefined, 'nope'),
+    /unknown collisionStrategy/);
+});
+
+test('priority orders items at the same place and makes less important items give way', () => {
+  const same = (pa, pb) => engine.compact([{ i: 'a', x: 0, y: 0, w: 1, h: 1, priority: pa }, { i: 'b', x: 0, y: 0, w: 1, h: 1, priority: pb }], 'vertical', 4);
+  assert.deepStrictEqual(same(0, 1).map(l => l.y), [1, 0]);
+  // a tie keeps the layout order
+  assert.deepStrictEqual(same(1, 1).map(l => l.y), [0, 1]);
+
+  const drop = (priority) => {
+    const layout = [{ i: 'h', x: 0, y: 0, w: 2, h: 2, priority }, { i: 'l', x: 0, y: 2, w: 2, h: 2 }];
+    const moved = engine.moveElement(layout, layout[1], 0, 0, false, false, 'vertical', 4);
+    return engine.compact(moved, 'vertical', 4).map(l => l.y);
+  };
+  // h stays where it is, the item moved into it goes below
+  assert.deepStrictEqual(drop(1), [0, 2]);
+  assert.deepStrictEqual(drop(0), [2, 0]);
+});
+
+test('responsive strategies derive a smaller layout by bounds, scale, stack or a function', () => {
+  const breakpoints = { lg: 1200, sm: 768 };
+  const cols = { lg: 12, sm: 6 };
+  const layouts = { lg: [{ i: 'a', x: 0, y: 0, w: 6, h: 1 }, { i: 'b', x: 6, y: 0, w: 6, h: 1 }] };
+  const generate = strategy => engine.findOrGenerateResponsiveLayout([], layouts, breakpoints, 'sm', 'lg', 6,
+    'vertical', false, { strategy, cols }).map(({ x, y, w }) => [x, y, w]);
+
+  assert.deepStrictEqual(generate('bounds'), [[0, 0, 6], [0, 1, 6]]);
+  assert.deepStrictEqual(generate('scale'), [[0, 0, 3], [3, 0, 3]]);
+  assert.deepStrictEqual(generate('stack'), [[0, 0, 6], [0, 1, 6]]);
+  assert.deepStrictEqual(generate({ sm: 'scale' }), [[0, 0, 3], [3, 0, 3]]);
+
+  let info;
+  const custom = generate((layout, i) => {
+    info = i;
+    return layout.map(l => ({ ...l, x: 0, w: 1 }));
+  });
+  assert.deepStrictEqual(info, { breakpoint: 'sm', cols: 6, sourceBreakpoint: 'lg', sourceCols: 12 });
+  // the result is compacted like any other
+  assert.deepStrictEqual(custom, [[0, 0, 1], [0, 1, 1]]);
+  assert.strictEqual(layouts.lg[1].x, 6);
+  assert.throws(() => generate('nope'), /unknown layout strategy/);
+});
+
+test('responsiveSync helpers rescale resized items and regenerate the smaller layouts', () => {
+  const breakpoints = { lg: 1200, md: 996, sm: 768 };
+  const cols = { lg: 12, md: 12, sm: 6 };
+  const layouts = {
+    lg: [{ i: 'a', x: 0, y: 0, w: 4, h: 1 }, { i: 'b', x: 4, y: 0, w: 4, h: 1 }],
+    sm: [{ i: 'a', x: 0, y: 0, w: 2, h: 1 }, { i: 'b', x: 2, y: 0, w: 2, h: 1 }]
+  };
+
+  // width scaled by 6/12, height kept; breakpoints without a stored layout are left out
+  const propagated = engine.propagateSizes([{ i: 'a', x: 0, y: 0, w: 6, h: 3 }], layouts, 'lg', cols, 'vertical', false);
+  assert.deepStrictEqual(Object.keys(propagated), ['sm']);
+  assert.deepStrictEqual([propagated.sm[0].w, propagated.sm[0].h], [3, 3]);
+  // b now overlaps a and is pushed below it
+  assert.deepStrictEqual([propagated.sm[1].x, propagated.sm[1].y], [2, 3]);
+  assert.strictEqual(layouts.sm[0].w, 2);
+
+  const regenerated = engine.regenerateLowerLayouts(layouts.lg, breakpoints, 'md', cols, 'vertical', false, 'scale');
+  assert.deepStrictEqual(Object.keys(regenerated), ['sm']);
+  assert.deepStrictEqual(regenerated.sm.map(({ x, w }) => [x, w]), [[0, 2], [2, 2]]);
+  assert.deepStrictEqual(Object.keys(engine.regenerateLowerLayouts(layouts.lg, breakpoints, 'lg', cols, 'vertical')), ['sm', 'md']);
+});